@@ -1,19 +1,238 @@
 // main.js - Enhanced OpenAlex Research Assistant Plugin with Hub System - Resease V 1.0.0
-const { Plugin, TFile, Notice, Setting, PluginSettingTab, Modal } = require('obsidian');
+const { Plugin, TFile, Notice, Setting, PluginSettingTab, Modal, FuzzySuggestModal, ItemView, parseYaml, stringifyYaml } = require('obsidian');
 
 const DEFAULT_SETTINGS = {
     autoProcessNewFiles: false, // Changed default to false
     createHubs: true,
     maxReferencesToProcess: 100,
     maxCitedByToProcess: 50,
+    citedBySort: 'default', // default | cited_by_count | publication_date | relevance
+    citedBySearch: '', // Keywords used to rank citing works when sorting by relevance
+    citedByFromYear: 0, // 0 = no lower bound
+    citedByToYear: 0, // 0 = no upper bound
     hubFolder: 'Research-Hubs',
     zoteroFolder: 'Papers',
     delayBetweenRequests: 200,
     enableNotifications: true,
     useAuthorYearFormat: true,
-    createPhantomLinks: true // New setting for phantom links
+    createPhantomLinks: true, // New setting for phantom links
+    createAuthorNotes: false,
+    authorFolder: 'Authors',
+    hubTemplatePath: '', // empty = built-in layout
+    metadataTemplatePath: '', // empty = built-in layout
+    hubFilenamePattern: '', // empty = hub_{{author}}{{year}}_{{title_words}}
+    exportFolder: 'OpenAlex-Exports',
+    maxRelatedPapers: 10,
+    matchConfidenceThreshold: 80, // percent; weaker title-search matches need confirmation
+    alertFolder: 'OpenAlex-Alerts',
+    citationCheckIntervalDays: 0, // 0 = only when run from the command
+    lastCitationCheck: 0,
+    // Last options used by "Expand citation network"
+    crawlDepth: 2,
+    crawlDirection: 'both',
+    crawlBudget: 100,
+    crawlMinCitations: 0,
+    crawlFromYear: 0,
+    crawlToYear: 0,
+    crawlTopics: '',
+    enableCache: true,
+    cacheTtlDays: 30,
+    offlineMode: false,
+    apiBaseUrl: 'https://api.openalex.org',
+    contactEmail: '', // Sent as mailto= to join the OpenAlex polite pool
+    apiKey: '',
+    maxRetries: 4
 };
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_API_BASE_URL = 'https://api.openalex.org';
+
+// Statuses worth retrying: rate limiting and transient server errors
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+const MAX_BACKOFF_MS = 30000;
+
+// OpenAlex accepts up to 50 OR-ed values in a single filter
+const OPENALEX_BATCH_SIZE = 50;
+// Largest page OpenAlex will return; bigger cited-by lists are paged with a cursor
+const OPENALEX_MAX_PER_PAGE = 200;
+// Citation lists longer than this only score pairs involving a paper in the vault, keeping
+// "Find related papers" roughly linear for landmark papers with thousands of citing works
+const MAX_RELATED_GROUP_SIZE = 200;
+// Extra citing works fetched without an API key, in case some are already listed on the hub
+const NEW_CITATION_HEADROOM = 25;
+// Extra neighbours fetched per hop beyond the remaining crawl budget, since filters may drop some
+const CRAWL_FETCH_HEADROOM = 25;
+// Notes whose references and citing works the citation sidebar keeps in memory
+const SIDEBAR_CACHE_SIZE = 20;
+
+// Plugin-owned sections are wrapped in these markers so they can be rewritten in place
+const REGION_START = name => `<!-- openalex:begin ${name} -->`;
+const REGION_END = name => `<!-- openalex:end ${name} -->`;
+
+// Heading patterns of sections written before region markers existed; migrated on the next update
+const LEGACY_SECTION_PATTERNS = {
+    parent: '## Parent Paper',
+    details: '## Paper Details',
+    connected: '## Connected Papers',
+    cited: '## Cited',
+    'cited-by': '## Cited By',
+    metadata: '(?:## )?## 📊 OpenAlex Metadata', // older inserts could double the heading marker
+    hub: '## Hub(?=[ \\t]*\\n- \\[\\[)' // only the plugin's own "## Hub" link list
+};
+
+// Heading and description of each region that holds a list of wikilinks
+const LINK_SECTIONS = {
+    parent: ['## Parent Paper', ''],
+    connected: ['## Connected Papers', '*Papers in your vault that reference this work*'],
+    cited: ['## Cited', '*Papers this work references*'],
+    'cited-by': ['## Cited By', '*Papers that cite this work*'],
+    'author-wrote': ['## Papers in Your Vault', '*Papers in your vault written by this author*'],
+    'author-cited': ['## Cited Papers in Your Vault', '*Papers in your vault this author has cited*'],
+    'author-cited-by': ['## Cited By Papers in Your Vault', '*Papers in your vault that cite this author*'],
+    related: ['## Related in Your Vault', '*Papers in your vault sharing references or citing works with this one*'],
+    suggested: ['## Suggested to Read', '*Papers not in your vault that are closely related to this one*']
+};
+
+const HUB_REGIONS = ['parent', 'details', 'connected', 'cited', 'cited-by'];
+const PAPER_REGIONS = ['metadata', 'hub'];
+
+const SEARCH_MODES = {
+    keyword: 'Keyword',
+    author: 'Author',
+    doi: 'DOI'
+};
+
+const CITED_BY_SORT_OPTIONS = {
+    default: 'OpenAlex default order',
+    cited_by_count: 'Most cited first',
+    publication_date: 'Most recent first',
+    relevance: 'Relevance to keywords'
+};
+const RELEVANCE_WITHOUT_KEYWORDS_NOTICE = 'Relevance ordering needs cited-by keywords. Until you add some, the most cited works are kept.';
+
+// Fields needed to build hubs for referenced works (keeps batch payloads small)
+const REFERENCE_SELECT_FIELDS = [
+    'id', 'doi', 'ids', 'display_name', 'title', 'publication_year', 'authorships',
+    'primary_location', 'cited_by_count', 'topics', 'primary_topic', 'open_access', 'best_oa_location',
+    'type', 'language', 'abstract_inverted_index', 'biblio'
+];
+
+// format -> [label, file extension]
+const BIBLIOGRAPHY_FORMATS = {
+    bibtex: ['BibTeX', 'bib'],
+    ris: ['RIS', 'ris'],
+    'csl-json': ['CSL-JSON', 'json']
+};
+
+// OpenAlex work type -> [BibTeX entry type, RIS type, CSL type]; conference papers are detected from the source
+const BIBLIOGRAPHY_TYPES = {
+    article: ['article', 'JOUR', 'article-journal'],
+    review: ['article', 'JOUR', 'article-journal'],
+    letter: ['article', 'JOUR', 'article-journal'],
+    editorial: ['article', 'JOUR', 'article-journal'],
+    book: ['book', 'BOOK', 'book'],
+    'book-chapter': ['incollection', 'CHAP', 'chapter'],
+    dissertation: ['phdthesis', 'THES', 'thesis'],
+    report: ['techreport', 'RPRT', 'report'],
+    dataset: ['misc', 'DATA', 'dataset'],
+    preprint: ['misc', 'JOUR', 'article'],
+    conference: ['inproceedings', 'CONF', 'paper-conference']
+};
+const DEFAULT_BIBLIOGRAPHY_TYPE = ['misc', 'GEN', 'article'];
+
+const CITATION_VIEW_TYPE = 'openalex-citations';
+
+const CRAWL_DIRECTIONS = {
+    both: 'References and citing works',
+    backward: 'References only (backward)',
+    forward: 'Citing works only (forward)'
+};
+
+// ```openalex``` block views -> caption
+const BLOCK_VIEWS = {
+    references: 'References',
+    citing: 'Most cited citing works',
+    'author-works': 'Other works by',
+    'citations-per-year': 'Citations per year'
+};
+
+// Built-in templates; "Create default note templates" copies them into TEMPLATE_FOLDER for editing
+const TEMPLATE_FOLDER = 'OpenAlex-Templates';
+const DEFAULT_HUB_FILENAME_PATTERN = 'hub_{{author}}{{year}}_{{title_words}}';
+
+const DEFAULT_HUB_TEMPLATE = `---
+cssclass: research-hub
+tags:
+  - hub
+  - research
+---
+
+# {{title}}
+
+> [!abstract] Research Hub 🔗
+> Central hub connecting papers in your research network
+
+{{regions.parent}}
+
+{{regions.details}}
+
+{{#if abstract}}
+## Abstract
+{{abstract}}
+
+{{/if}}
+{{#if topics}}
+## Key Topics
+{{#each topics limit=5}}
+- {{label}}
+{{/each}}
+
+{{/if}}
+{{regions.connected}}
+
+{{regions.cited}}
+
+{{regions.cited-by}}
+
+## Research Notes
+*Add your research insights and connections here*
+`;
+
+const DEFAULT_METADATA_TEMPLATE = `## 📊 OpenAlex Metadata
+
+### Publication Details
+{{#if show_authors}}
+- **Authors:** {{author_list}}
+{{/if}}
+- **Journal:** {{venue|Unknown}}
+- **Publication Year:** {{publication_year}}
+- **Type:** {{type|Unknown}}
+- **Language:** {{language|Unknown}}
+- **Open Access:** {{open_access_status}}
+- **DOI:** {{ids.doi|N/A}}
+- **OpenAlex ID:** [{{id}}]({{id}})
+- **Citation Count:** {{cited_by_count}}
+
+{{#if topics}}
+### Research Topics
+{{#if primary_topic.domain}}
+*Domain: {{primary_topic.domain.display_name}}*
+{{/if}}
+{{#each topics limit=5}}
+- {{label}}
+{{/each}}
+
+{{/if}}
+{{#if abstract}}
+### OpenAlex Abstract
+> {{abstract}}
+
+{{/if}}
+### Citation Network
+- **References:** {{reference_count}} papers
+- **Cited By:** {{cited_by_count}} papers
+`;
+
 class OpenAlexResearchAssistant extends Plugin {
     async onload() {
         await this.loadSettings();
@@ -22,14 +241,32 @@ class OpenAlexResearchAssistant extends Plugin {
         this.processingQueue = new Set();
         this.hubMap = new Map(); // openalex_id -> hub_path
         this.paperHubMap = new Map(); // paper_name -> hub_path
+        this.authorMap = new Map(); // short author id -> author note path
+        this.templateCache = new Map(); // template source -> NoteTemplate
+        this.templateWarnings = new Set();
+        this.cache = new ResponseCache(this.app.vault.adapter, `${this.manifest.dir}/cache`);
+        this.provider = new CachedOpenAlexProvider(
+            new RestOpenAlexProvider(new OpenAlexHttpClient(() => this.settings), () => this.settings),
+            this.cache,
+            () => this.settings
+        );
+        this.jobQueue = new JobQueue({
+            run: job => this.runJob(job),
+            save: () => this.savePluginData(),
+            onChange: () => this.updateJobStatus(),
+            onIdle: queue => this.onJobQueueIdle(queue),
+            getDelay: () => this.settings.delayBetweenRequests
+        });
+        this.jobQueue.load(this.savedJobs);
+        this.jobStatusEl = this.addStatusBarItem();
+        this.jobStatusEl.addEventListener('click', () => this.togglePauseJobs());
         
         this.addSettingTab(new OpenAlexSettingTab(this.app, this));
+        this.registerMarkdownCodeBlockProcessor('openalex', (source, el, ctx) => this.renderOpenAlexBlock(source, el, ctx));
+        this.registerView(CITATION_VIEW_TYPE, leaf => new CitationSidebarView(leaf, this));
         
-        // Only register auto-processing if enabled
-        if (this.settings.autoProcessNewFiles) {
-            this.registerEvent(this.app.vault.on('create', (file) => this.onFileCreated(file)));
-            this.registerEvent(this.app.vault.on('modify', (file) => this.onFileModified(file)));
-        }
+        // The vault fires `create` for every file while it loads, so start listening afterwards
+        this.app.workspace.onLayoutReady(() => this.registerVaultEvents());
         
         this.addRibbonIcon('zap', 'Process with OpenAlex', () => this.processCurrentFile());
         
@@ -45,57 +282,408 @@ class OpenAlexResearchAssistant extends Plugin {
             callback: () => this.processAllUnprocessed()
         });
 
+        this.addCommand({
+            id: 'refresh-current-file',
+            name: 'Refresh OpenAlex data for current file',
+            callback: () => this.refreshCurrentFile()
+        });
+
+        this.addCommand({
+            id: 'refresh-all-processed',
+            name: 'Refresh OpenAlex data for all processed papers',
+            callback: () => this.refreshAllProcessed()
+        });
+
+        this.addCommand({
+            id: 'open-citation-sidebar',
+            name: 'Open citation sidebar',
+            callback: () => this.activateCitationView()
+        });
+
+        this.addCommand({
+            id: 'search-openalex',
+            name: 'Search OpenAlex and import paper',
+            callback: () => new OpenAlexSearchModal(this.app, this).open()
+        });
+
+        this.addCommand({
+            id: 'import-bibliography-file',
+            name: 'Import papers from BibTeX/RIS file',
+            callback: () => this.chooseBibliographyFile()
+        });
+
+        this.addCommand({
+            id: 'promote-current-hub',
+            name: 'Create paper note for current hub',
+            callback: () => this.promoteCurrentHub()
+        });
+
+        this.addCommand({
+            id: 'export-citation-network',
+            name: 'Export citation network (GraphML, GEXF, JSON)',
+            callback: () => this.exportCitationNetwork()
+        });
+
+        this.addCommand({
+            id: 'export-bibliography-current-note',
+            name: 'Export bibliography: current note',
+            callback: () => this.exportBibliographyForCurrentNote()
+        });
+
+        this.addCommand({
+            id: 'export-bibliography-current-folder',
+            name: 'Export bibliography: current folder',
+            callback: () => this.exportBibliographyForCurrentFolder()
+        });
+
+        this.addCommand({
+            id: 'export-bibliography-hub-cited',
+            name: 'Export bibliography: papers cited by current hub',
+            callback: () => this.exportBibliographyForHubCited()
+        });
+
+        this.addCommand({
+            id: 'create-citation-canvas',
+            name: 'Create citation canvas for current paper or hub',
+            callback: () => this.createCitationCanvas()
+        });
+
+        this.addCommand({
+            id: 'update-related-papers',
+            name: 'Find related papers (co-citation and bibliographic coupling)',
+            callback: () => this.updateRelatedPapers()
+        });
+
+        this.addCommand({
+            id: 'expand-citation-network',
+            name: 'Expand citation network',
+            callback: () => this.expandCitationNetwork()
+        });
+
+        this.addCommand({
+            id: 'clean-up-orphaned-hubs',
+            name: 'Clean up orphaned hubs',
+            callback: () => this.cleanUpOrphanedHubs()
+        });
+
+        this.addCommand({
+            id: 'create-default-templates',
+            name: 'Create default note templates',
+            callback: () => this.createDefaultTemplates()
+        });
+
+        this.addCommand({
+            id: 'rebuild-hub-index',
+            name: 'Rebuild hub index',
+            callback: () => this.rebuildHubIndex()
+        });
+
         this.addCommand({
             id: 'toggle-auto-processing',
             name: 'Toggle auto-processing of new files',
             callback: () => this.toggleAutoProcessing()
         });
 
+        this.addCommand({
+            id: 'clear-openalex-cache',
+            name: 'Clear OpenAlex response cache',
+            callback: () => this.clearCache()
+        });
+
+        this.addCommand({
+            id: 'check-new-citations',
+            name: 'Check for new citations',
+            callback: () => this.checkForNewCitations()
+        });
+
+        this.addCommand({
+            id: 'pause-background-processing',
+            name: 'Pause or resume background processing',
+            callback: () => this.togglePauseJobs()
+        });
+
+        this.addCommand({
+            id: 'cancel-background-processing',
+            name: 'Cancel background processing',
+            callback: () => this.cancelJobs()
+        });
+
         await this.buildHubMap();
+        await this.buildAuthorMap();
+        
+        this.updateJobStatus();
+        // Queued notes may not be known to the vault until it has finished loading
+        this.app.workspace.onLayoutReady(() => this.resumeBackgroundWork());
+        this.registerInterval(window.setInterval(() => this.runScheduledCitationCheck(), 60 * 60 * 1000));
         console.log('OpenAlex Research Assistant loaded');
     }
 
+    onunload() {
+        this.jobQueue?.stop();
+    }
+
+    resumeBackgroundWork() {
+        // Pick up jobs left unfinished when Obsidian was last closed
+        if (this.jobQueue.jobs.length > 0) {
+            new Notice(`Resuming ${this.jobQueue.jobs.length} queued OpenAlex jobs`);
+            this.jobQueue.start();
+        }
+        this.runScheduledCitationCheck();
+    }
+
+    // Adds jobs to the background queue; returns how many were not already queued
+    async queueJobs(jobs) {
+        const added = await this.jobQueue.add(jobs);
+        this.jobQueue.start();
+        return added;
+    }
+
+    // A 'process' job fetches metadata and creates the hub, then queues an 'expand' job
+    // for the paper's references and citing works so each step survives a restart
+    async runJob(job) {
+        const file = this.app.vault.getAbstractFileByPath(job.path);
+        if (!file) throw new Error(`${job.path} not found`);
+        
+        this.processingQueue.add(file.path);
+        try {
+            if (job.type === 'expand') {
+                const work = await this.fetchOpenAlexWorkById(job.workId);
+                if (!work) throw new Error(`No OpenAlex data found for ${job.workId}`);
+                const failures = await this.processReferencesAndCitations(work, file.basename, job.hubPath, { refresh: job.refresh });
+                return { failures };
+            }
+            
+            const result = await this.processZoteroFile(file, { refresh: job.refresh, deferFailureReport: true, deferExpansion: true });
+            // Failed papers count as failed jobs and are listed in the end-of-run summary
+            if (result && !result.work) throw new Error(result.failures[0].reason);
+            if (!result?.hubPath || !this.settings.createHubs) return {};
+            return {
+                jobs: [{ type: 'expand', path: file.path, refresh: job.refresh, workId: result.work.id, hubPath: result.hubPath }]
+            };
+        } finally {
+            this.processingQueue.delete(file.path);
+            // Keep the auto-processing watcher from picking the note up a second time
+            this.fileWatcher.delete(file.path);
+        }
+    }
+
+    onJobQueueIdle(queue) {
+        if (queue.completed + queue.failed === 0) return;
+        new Notice(`Background processing complete: ${queue.completed} jobs done` + (queue.failed ? `, ${queue.failed} failed` : ''));
+        this.reportFailures('Background processing', queue.failures);
+    }
+
+    togglePauseJobs() {
+        if (this.jobQueue.jobs.length === 0) {
+            new Notice('No background jobs queued');
+            return;
+        }
+        if (this.jobQueue.paused) {
+            this.jobQueue.resume();
+            new Notice('Background processing resumed');
+        } else {
+            this.jobQueue.pause();
+            new Notice('Background processing paused after the current job');
+        }
+    }
+
+    async cancelJobs() {
+        const cancelled = await this.jobQueue.cancel();
+        new Notice(cancelled ? `Cancelled ${cancelled} queued jobs` : 'No background jobs queued');
+    }
+
+    updateJobStatus() {
+        if (!this.jobStatusEl) return;
+        const { done, total, etaMs } = this.jobQueue.getProgress();
+        if (total === 0) {
+            this.jobStatusEl.setText('');
+            return;
+        }
+        
+        const state = this.jobQueue.paused ? 'paused' : (etaMs === null ? 'starting' : `ETA ${this.formatDuration(etaMs)}`);
+        this.jobStatusEl.setText(`OpenAlex ${done}/${total} · ${state}`);
+        this.jobStatusEl.setAttr('title', 'Click to pause or resume background processing');
+    }
+
+    formatDuration(ms) {
+        const minutes = Math.round(ms / 60000);
+        if (minutes < 1) return `${Math.max(1, Math.round(ms / 1000))}s`;
+        if (minutes < 60) return `${minutes}m`;
+        return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+    }
+
     async toggleAutoProcessing() {
         this.settings.autoProcessNewFiles = !this.settings.autoProcessNewFiles;
         await this.saveSettings();
         
         new Notice(`Auto-processing ${this.settings.autoProcessNewFiles ? 'enabled' : 'disabled'}`);
-        
-        // Re-register or unregister events
-        if (this.settings.autoProcessNewFiles) {
-            this.registerEvent(this.app.vault.on('create', (file) => this.onFileCreated(file)));
-            this.registerEvent(this.app.vault.on('modify', (file) => this.onFileModified(file)));
+    }
+
+    // Registered once; the handlers check autoProcessNewFiles themselves, so toggling needs no re-registration
+    registerVaultEvents() {
+        if (this.vaultEventsRegistered) return;
+        this.vaultEventsRegistered = true;
+        this.registerEvent(this.app.vault.on('create', (file) => this.onFileCreated(file)));
+        this.registerEvent(this.app.vault.on('modify', (file) => this.onFileModified(file)));
+        this.registerEvent(this.app.vault.on('rename', (file, oldPath) => this.onFileRenamed(file, oldPath)));
+        this.registerEvent(this.app.vault.on('delete', (file) => this.onFileDeleted(file)));
+    }
+
+    async clearCache() {
+        try {
+            const removed = await this.cache.clear();
+            new Notice(`Cleared ${removed} cached OpenAlex responses`);
+        } catch (error) {
+            console.error('Error clearing OpenAlex cache:', error);
+            new Notice(`Error clearing cache: ${error.message}`);
         }
     }
 
     async buildHubMap() {
-        const files = this.app.vault.getMarkdownFiles();
+        // Hubs are recognised by folder, not by name, since the filename pattern is configurable
+        const files = this.app.vault.getMarkdownFiles()
+            .filter(file => file.path.startsWith(`${this.settings.hubFolder}/`));
         for (const file of files) {
-            if (file.path.includes(this.settings.hubFolder) && file.name.startsWith('Hub_')) {
-                try {
-                    const content = await this.app.vault.read(file);
-                    const match = content.match(/openalex_id:\s*"([^"]+)"/);
-                    if (match) {
-                        this.hubMap.set(match[1], file.path);
-                        // Also map paper name to hub
-                        const parentMatch = content.match(/## Parent Paper\n- \[\[([^\]]+)\]\]/);
-                        if (parentMatch) {
-                            this.paperHubMap.set(parentMatch[1], file.path);
-                        }
-                    }
-                } catch (error) {
-                    console.error(`Error reading hub ${file.path}:`, error);
-                }
+            await this.indexHub(file);
+        }
+    }
+
+    async indexHub(file) {
+        try {
+            const content = await this.app.vault.read(file);
+            const frontmatter = this.splitFrontmatter(content).frontmatter;
+            if (!frontmatter?.openalex_id) return;
+            
+            this.hubMap.set(frontmatter.openalex_id, file.path);
+            // Also map paper name to hub; phantom hubs have no paper in the vault
+            const [parent] = this.readRegionLinks(content, 'parent');
+            if (parent && frontmatter.hub_status !== 'phantom') {
+                this.paperHubMap.set(parent, file.path);
+            }
+        } catch (error) {
+            console.error(`Error reading hub ${file.path}:`, error);
+        }
+    }
+
+    async buildAuthorMap() {
+        const files = this.app.vault.getMarkdownFiles()
+            .filter(file => file.path.startsWith(`${this.settings.authorFolder}/`));
+        for (const file of files) {
+            await this.indexAuthorNote(file);
+        }
+    }
+
+    async indexAuthorNote(file) {
+        try {
+            const content = await this.app.vault.read(file);
+            const authorId = this.splitFrontmatter(content).frontmatter?.openalex_author_id;
+            if (authorId) {
+                this.authorMap.set(toShortOpenAlexId(authorId), file.path);
+            }
+        } catch (error) {
+            console.error(`Error reading author note ${file.path}:`, error);
+        }
+    }
+
+    async rebuildHubIndex() {
+        this.hubMap.clear();
+        this.paperHubMap.clear();
+        this.authorMap.clear();
+        await this.buildHubMap();
+        await this.buildAuthorMap();
+        new Notice(`Indexed ${this.hubMap.size} hubs, ${this.paperHubMap.size} papers and ${this.authorMap.size} authors`);
+    }
+
+    // Adds a hub or author note that was created, synced or moved into its folder
+    async indexFile(file) {
+        if (file.path.startsWith(`${this.settings.hubFolder}/`)) {
+            await this.indexHub(file);
+        } else if (file.path.startsWith(`${this.settings.authorFolder}/`)) {
+            await this.indexAuthorNote(file);
+        }
+    }
+
+    // Drops every map entry that points at `path`
+    forgetPath(path) {
+        for (const map of [this.hubMap, this.paperHubMap, this.authorMap]) {
+            for (const [key, value] of map) {
+                if (value === path) map.delete(key);
             }
         }
     }
 
     async onFileCreated(file) {
-        if (!this.settings.autoProcessNewFiles || !file.path.includes(this.settings.zoteroFolder) || !file.name.endsWith('.md')) return;
+        if (!file.name.endsWith('.md')) return;
+        this.invalidatePaperIndex(file.path);
+        await this.indexFile(file);
+        
+        if (!this.settings.autoProcessNewFiles || !file.path.includes(this.settings.zoteroFolder)) return;
         setTimeout(() => this.fileWatcher.add(file.path), 2000);
     }
 
+    // Folder moves fire one rename per file, so this only has to handle single notes
+    async onFileRenamed(file, oldPath) {
+        if (!file.name.endsWith('.md')) return;
+        const oldName = oldPath.split('/').pop().replace(/\.md$/, '');
+        
+        this.invalidatePaperIndex(oldPath);
+        this.invalidatePaperIndex(file.path);
+        this.forgetPath(oldPath);
+        const hubPath = this.paperHubMap.get(oldName);
+        if (hubPath && oldName !== file.basename) {
+            this.paperHubMap.delete(oldName);
+            this.paperHubMap.set(file.basename, hubPath);
+        }
+        await this.indexFile(file);
+        
+        if (this.fileWatcher.delete(oldPath)) this.fileWatcher.add(file.path);
+        await this.jobQueue.renamePath(oldPath, file.path);
+        
+        if (oldName !== file.basename) {
+            await this.rewriteRegionLinks(oldName, file.basename);
+        }
+    }
+
+    onFileDeleted(file) {
+        this.invalidatePaperIndex(file.path);
+        this.forgetPath(file.path);
+        // The hub stays (see "Clean up orphaned hubs") but no longer belongs to a paper
+        this.paperHubMap.delete(file.basename);
+        this.fileWatcher.delete(file.path);
+    }
+
+    // Points links inside the plugin's regions at a renamed note. Links elsewhere are left to
+    // Obsidian's own link updating, which also covers these regions when it is switched on.
+    async rewriteRegionLinks(oldName, newName) {
+        const escaped = oldName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const linkPattern = new RegExp(`\\[\\[${escaped}(?=[\\]|#])`, 'g');
+        const files = this.app.vault.getMarkdownFiles().filter(file =>
+            file.path.startsWith(`${this.settings.hubFolder}/`) ||
+            file.path.startsWith(`${this.settings.authorFolder}/`) ||
+            file.path.includes(this.settings.zoteroFolder));
+        
+        let updated = 0;
+        for (const file of files) {
+            try {
+                if (!(await this.app.vault.cachedRead(file)).includes(`[[${oldName}`)) continue;
+                let changed = false;
+                // process() so a link update Obsidian is writing to the same note is not overwritten
+                await this.app.vault.process(file, content => {
+                    const newContent = content.replace(/<!-- openalex:begin ([\w-]+) -->[\s\S]*?<!-- openalex:end \1 -->/g,
+                        region => region.replace(linkPattern, () => `[[${newName}`));
+                    changed = newContent !== content;
+                    return newContent;
+                });
+                if (changed) updated++;
+            } catch (error) {
+                console.error(`Error updating links in ${file.path}:`, error);
+            }
+        }
+        return updated;
+    }
+
     async onFileModified(file) {
+        this.invalidatePaperIndex(file.path);
         if (!this.fileWatcher.has(file.path) || this.processingQueue.has(file.path)) return;
         
         this.fileWatcher.delete(file.path);
@@ -113,490 +701,3853 @@ class OpenAlexResearchAssistant extends Plugin {
             new Notice('No active file');
             return;
         }
-        await this.processZoteroFile(activeFile);
+        await this.processZoteroFile(activeFile, { interactive: true });
     }
 
     async processAllUnprocessed() {
-        const files = this.app.vault.getMarkdownFiles()
-            .filter(file => file.path.includes(this.settings.zoteroFolder) && !this.processingQueue.has(file.path));
+        const files = [];
+        for (const file of this.app.vault.getMarkdownFiles()) {
+            if (!file.path.includes(this.settings.zoteroFolder) || this.processingQueue.has(file.path)) continue;
+            const content = await this.app.vault.read(file);
+            if (!this.isProcessed(content)) files.push(file);
+        }
         
         if (files.length === 0) {
             new Notice('No unprocessed files found');
             return;
         }
         
-        new Notice(`Processing ${files.length} files...`);
-        
-        for (const file of files) {
-            await this.processZoteroFile(file);
-            await this.delay(this.settings.delayBetweenRequests);
-        }
-        
-        new Notice('Batch processing complete');
+        const added = await this.queueJobs(files.map(file => ({ type: 'process', path: file.path })));
+        new Notice(`Queued ${added} files for processing`);
     }
 
-    generateHubCiteKey(work) {
-        const firstAuthor = work.authorships?.[0]?.author.display_name.split(' ').pop() || 'Unknown';
-        const year = work.publication_year || 'NoYear';
-        
-        const stopWords = new Set(['the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'can', 'had', 'her', 'was', 'one', 'our', 'out', 'day', 'get', 'has', 'him', 'his', 'how', 'its', 'may', 'new', 'now', 'old', 'see', 'two', 'who', 'boy', 'did', 'use', 'way', 'she', 'man', 'own', 'say', 'too', 'any', 'from', 'they', 'know', 'want', 'been', 'good', 'much', 'some', 'time', 'very', 'when', 'come', 'here', 'just', 'like', 'long', 'make', 'many', 'over', 'such', 'take', 'than', 'them', 'well', 'were']);
-        
-        const title = work.display_name || work.title || '';
-        const words = title
-            .replace(/[^\w\s]/g, '')
-            .split(/\s+/)
-            .filter(word => word.length > 2 && !stopWords.has(word.toLowerCase()))
-            .slice(0, 3)
-            .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase());
+    async refreshCurrentFile() {
+        const activeFile = this.app.workspace.getActiveFile();
+        if (!activeFile) {
+            new Notice('No active file');
+            return;
+        }
         
-        const titlePart = words.length > 0 ? words.join('') : 'UnknownTitle';
-        return this.sanitizeFilename(`hub_${firstAuthor}${year}_${titlePart}`);
+        // Hubs are not papers: only their OpenAlex metadata is refreshed
+        if (activeFile.path.startsWith(`${this.settings.hubFolder}/`)) {
+            await this.refreshHub(activeFile);
+            return;
+        }
+        if (!this.isProcessed(await this.app.vault.read(activeFile))) {
+            new Notice(`${activeFile.basename} is not processed yet. Use "Process current file with OpenAlex" first.`);
+            return;
+        }
+        await this.processZoteroFile(activeFile, { refresh: true });
     }
 
-    async processZoteroFile(file) {
+    async refreshHub(file) {
         try {
-            const content = await this.app.vault.read(file);
-            
-            if (content.includes('processed_by_openalex: true')) {
-                if (this.settings.enableNotifications) {
-                    new Notice(`${file.basename} already processed`);
-                }
-                return;
-            }
-            
-            const doi = this.extractDOI(content);
-            const title = this.extractTitle(content, file.basename);
-            
-            if (!doi && !title) {
-                new Notice(`No DOI or title found for ${file.basename}`);
-                return;
-            }
-            
-            if (this.settings.enableNotifications) {
-                new Notice(`Processing ${file.basename}...`);
-            }
-            
-            const work = await this.fetchOpenAlexData(doi, title);
+            const openalexId = this.extractOpenAlexId(await this.app.vault.read(file));
+            const work = openalexId && await this.fetchOpenAlexWorkById(openalexId, { refresh: true });
             if (!work) {
                 new Notice(`No OpenAlex data found for ${file.basename}`);
                 return;
             }
-            
-            await this.updateFileWithOpenAlexData(file, work, content);
-            
-            // Create hub for current paper and add Hub section to Zotero note
-            const currentHub = await this.ensureHub(work, file.basename);
-            await this.addHubSectionToZoteroNote(file, currentHub);
-            
-            if (this.settings.createHubs) {
-                // Process references and citations
-                await this.processReferencesAndCitations(work, file.basename, currentHub);
-            }
-            
-            if (this.settings.enableNotifications) {
-                new Notice(`✓ Processed ${file.basename}`);
-            }
-            
+            await this.updateHubMetadata(file.path, work);
+            new Notice(`✓ Refreshed ${file.basename}`);
         } catch (error) {
-            console.error(`Error processing ${file.path}:`, error);
-            new Notice(`Error processing ${file.basename}: ${error.message}`);
+            console.error(`Error refreshing hub ${file.path}:`, error);
+            new Notice(`Error refreshing ${file.basename}: ${error.message}`);
         }
     }
-    // Continuing from Part 1...
-    
-    async addHubSectionToZoteroNote(file, hubPath) {
-        try {
+
+    // Processed notes may have been moved out of the Zotero folder, so every note outside the
+    // plugin's own folders is checked
+    async refreshAllProcessed() {
+        const files = [];
+        const ownFolders = [this.settings.hubFolder, this.settings.authorFolder].map(folder => `${folder}/`);
+        for (const file of this.app.vault.getMarkdownFiles()) {
+            if (ownFolders.some(folder => file.path.startsWith(folder)) || this.processingQueue.has(file.path)) continue;
             const content = await this.app.vault.read(file);
-            const hubName = hubPath.split('/').pop().replace('.md', '');
+            if (this.isProcessed(content)) files.push(file);
+        }
+        
+        if (files.length === 0) {
+            new Notice('No processed papers found');
+            return;
+        }
+        
+        const added = await this.queueJobs(files.map(file => ({ type: 'process', path: file.path, refresh: true })));
+        new Notice(`Queued ${added} papers for refresh`);
+    }
+
+    // Returns works matching `query`; `mode` is a SEARCH_MODES key
+    async searchOpenAlex(mode, query) {
+        if (mode === 'doi') {
+            const doi = query.replace(/^https?:\/\/(?:dx\.)?doi\.org\//i, '').replace(/^doi:\s*/i, '');
+            const work = await this.fetchOpenAlexData(doi);
+            return work ? [work] : [];
+        }
+        if (mode === 'author') {
+            return this.provider.searchWorksByAuthor(query, { perPage: 25 });
+        }
+        return this.provider.searchWorks(query, { perPage: 25 });
+    }
+
+    // Paper notes keyed by short OpenAlex ID, lower-cased DOI, `title:` plus the normalised title and
+    // `citekey:` plus the cite key (or note name), to spot works already in the vault.
+    // Built once and reused until a paper note is created, changed, moved or deleted.
+    async indexPaperNotes() {
+        if (this.paperIndex?.folder !== this.settings.zoteroFolder) {
+            this.paperIndex = { folder: this.settings.zoteroFolder, index: this.buildPaperIndex() };
+        }
+        return this.paperIndex.index;
+    }
+
+    invalidatePaperIndex(path) {
+        if (path.includes(this.settings.zoteroFolder)) this.paperIndex = null;
+    }
+
+    async buildPaperIndex() {
+        const index = new Map();
+        for (const file of this.app.vault.getMarkdownFiles()) {
+            if (!file.path.includes(this.settings.zoteroFolder) || file.path.startsWith(`${this.settings.hubFolder}/`)) continue;
+            try {
+                const content = await this.app.vault.read(file);
+                const openalexId = this.extractOpenAlexId(content);
+                const doi = this.extractDOI(content);
+                const title = this.extractTitle(content, null);
+                const citekey = this.splitFrontmatter(content).frontmatter?.citekey;
+                if (openalexId) index.set(openalexId, file);
+                if (doi) index.set(doi.toLowerCase(), file);
+                if (title && this.normalizeTitle(title)) index.set(`title:${this.normalizeTitle(title)}`, file);
+                // Zotero notes are usually named after their cite key
+                index.set(`citekey:${String(citekey || file.basename).toLowerCase()}`, file);
+            } catch (error) {
+                console.error(`Error reading ${file.path}:`, error);
+            }
+        }
+        return index;
+    }
+
+    findIndexedPaper(index, work) {
+        const doi = work.doi?.replace(/^https?:\/\/doi\.org\//i, '').toLowerCase();
+        return index.get(toShortOpenAlexId(work.id)) || (doi && index.get(doi)) || null;
+    }
+
+    // Creates a paper note for `work` in the Zotero folder and runs it through normal processing,
+    // or queues it when `queue` is set. An existing phantom hub for the work is connected to the new note.
+    async importWorkAsPaper(work, index = null, { queue = false } = {}) {
+        const paperIndex = index || await this.indexPaperNotes();
+        const existing = this.findIndexedPaper(paperIndex, work);
+        if (existing) {
+            new Notice(`${existing.basename} is already in your vault`);
+            return existing;
+        }
+        
+        try {
+            await this.app.vault.createFolder(this.settings.zoteroFolder);
+        } catch (error) {
+            // Folder exists
+        }
+        
+        const title = work.display_name || work.title || toShortOpenAlexId(work.id);
+        let path = `${this.settings.zoteroFolder}/${this.sanitizeFilename(title)}.md`;
+        if (this.app.vault.getAbstractFileByPath(path)) {
+            path = `${this.settings.zoteroFolder}/${this.sanitizeFilename(`${title} (${toShortOpenAlexId(work.id)})`)}.md`;
+        }
+        
+        const frontmatter = this.buildFrontmatter(this.withoutUndefined({
+            title,
+            doi: work.doi?.replace(/^https?:\/\/doi\.org\//i, '') || undefined,
+            openalex_id: work.id
+        }));
+        const file = await this.app.vault.create(path, `${frontmatter}# ${title}\n`);
+        paperIndex.set(toShortOpenAlexId(work.id), file);
+        
+        if (queue) {
+            await this.queueJobs([{ type: 'process', path: file.path }]);
+            new Notice(`Queued ${file.basename} for processing`);
+        } else {
+            await this.processZoteroFile(file);
+        }
+        return file;
+    }
+
+    async activateCitationView() {
+        let leaf = this.app.workspace.getLeavesOfType(CITATION_VIEW_TYPE)[0];
+        if (!leaf) {
+            leaf = this.app.workspace.getRightLeaf(false);
+            await leaf.setViewState({ type: CITATION_VIEW_TYPE, active: true });
+        }
+        this.app.workspace.revealLeaf(leaf);
+    }
+
+    // References and citing works of the paper or hub in `file`, for the citation sidebar.
+    // Returns null when the note is not linked to an OpenAlex work yet.
+    async loadCitationNeighbourhood(file) {
+        const hubPath = await this.findHubPath(file);
+        const hubFile = hubPath && this.app.vault.getAbstractFileByPath(hubPath);
+        const openalexId = this.extractOpenAlexId(await this.app.vault.read(hubFile || file));
+        const work = openalexId && await this.fetchOpenAlexWorkById(openalexId);
+        if (!work) return null;
+        
+        const references = (await this.fetchOpenAlexWorksByIds(
+            (work.referenced_works || []).slice(0, this.settings.maxReferencesToProcess)
+        )).filter(Boolean);
+        const citingWorks = work.cited_by_count > 0
+            ? await this.provider.getCitingWorks(work.id, this.getCitedByQuery())
+            : [];
+        return { work, references, citingWorks };
+    }
+
+    chooseBibliographyFile() {
+        const files = this.app.vault.getFiles().filter(file => ['bib', 'ris'].includes(file.extension.toLowerCase()));
+        if (files.length === 0) {
+            new Notice('No .bib or .ris files found. Copy the export into your vault first.');
+            return;
+        }
+        new BibliographyFileModal(this.app, files, file => this.importBibliographyFile(file)).open();
+    }
+
+    // Creates a paper note per entry, skipping papers already in the vault, then processes the new notes
+    async importBibliographyFile(file) {
+        try {
+            const text = await this.app.vault.read(file);
+            const records = file.extension.toLowerCase() === 'ris' ? this.parseRis(text) : this.parseBibtex(text);
+            if (records.length === 0) {
+                new Notice(`No entries found in ${file.name}`);
+                return;
+            }
+            
+            try {
+                await this.app.vault.createFolder(this.settings.zoteroFolder);
+            } catch (error) {
+                // Folder exists
+            }
             
-            if (content.includes('## Hub')) return; // Already has hub section
+            const index = await this.indexPaperNotes();
+            const created = [];
+            let skipped = 0;
+            for (const record of records) {
+                const note = await this.createPaperNoteFromRecord(record, index);
+                if (note) created.push(note);
+                else skipped++;
+            }
             
-            const hubSection = `\n## Hub\n- [[${hubName}]]\n`;
+            new Notice(`Imported ${created.length} of ${records.length} entries from ${file.name}` +
+                (skipped ? ` (${skipped} already in vault or without DOI/title)` : ''));
+            await this.queueJobs(created.map(note => ({ type: 'process', path: note.path })));
+        } catch (error) {
+            console.error(`Error importing ${file.path}:`, error);
+            new Notice(`Error importing ${file.name}: ${error.message}`);
+        }
+    }
+
+    // Returns the new note, or null when the entry is unusable or already in the vault
+    async createPaperNoteFromRecord(record, index) {
+        const doi = record.doi?.toLowerCase();
+        if (!record.title && !doi) return null;
+        const keys = [
+            doi,
+            record.title && this.normalizeTitle(record.title) && `title:${this.normalizeTitle(record.title)}`,
+            record.citekey && `citekey:${record.citekey.toLowerCase()}`
+        ].filter(Boolean);
+        if (keys.some(key => index.has(key))) return null;
+        
+        const title = record.title || record.doi;
+        const path = `${this.settings.zoteroFolder}/${this.sanitizeFilename(title)}.md`;
+        if (this.app.vault.getAbstractFileByPath(path)) return null;
+        
+        // `title` and `doi` are what extractTitle/extractDOI look for
+        const frontmatter = this.buildFrontmatter(this.withoutUndefined({
+            title,
+            authors: record.authors.length > 0 ? record.authors : undefined,
+            year: record.year || undefined,
+            journal: record.venue || undefined,
+            doi: record.doi || undefined,
+            citekey: record.citekey || undefined
+        }));
+        const file = await this.app.vault.create(path, `${frontmatter}# ${title}\n\n## 🗒 Persistent Notes\n`);
+        keys.forEach(key => index.set(key, file));
+        return file;
+    }
+
+    // Returns [{ citekey, title, authors, year, venue, doi }] for each BibTeX entry
+    parseBibtex(text) {
+        const records = [];
+        const entryStart = /@(\w+)\s*\{/g;
+        let match;
+        
+        while ((match = entryStart.exec(text))) {
+            const type = match[1].toLowerCase();
+            let depth = 1;
+            let end = entryStart.lastIndex;
+            while (end < text.length && depth > 0) {
+                if (text[end] === '{') depth++;
+                else if (text[end] === '}') depth--;
+                end++;
+            }
+            const body = text.slice(entryStart.lastIndex, end - 1);
+            entryStart.lastIndex = end;
+            if (['comment', 'string', 'preamble'].includes(type)) continue;
             
-            let newContent = content;
-            const insertPoint = content.indexOf('## 🗒 Persistent Notes');
-            if (insertPoint !== -1) {
-                newContent = content.slice(0, insertPoint) + hubSection + content.slice(insertPoint);
+            const keyEnd = body.indexOf(',');
+            const fields = this.parseBibtexFields(keyEnd === -1 ? '' : body.slice(keyEnd + 1));
+            records.push({
+                citekey: (keyEnd === -1 ? body : body.slice(0, keyEnd)).trim() || null,
+                title: fields.title || null,
+                authors: fields.author ? fields.author.split(/\s+and\s+/i).map(name => this.normalizeAuthorName(name)) : [],
+                year: parseInt((fields.year || fields.date || '').match(/\d{4}/)?.[0], 10) || null,
+                venue: fields.journal || fields.journaltitle || fields.booktitle || null,
+                doi: this.normalizeDoi(fields.doi || fields.url)
+            });
+        }
+        return records;
+    }
+
+    parseBibtexFields(body) {
+        const fields = {};
+        const fieldStart = /\s*([\w-]+)\s*=\s*/y;
+        let position = 0;
+        
+        while (position < body.length) {
+            fieldStart.lastIndex = position;
+            const match = fieldStart.exec(body);
+            if (!match) break;
+            
+            let index = fieldStart.lastIndex;
+            let value = '';
+            if (body[index] === '{' || body[index] === '"') {
+                const close = body[index] === '{' ? '}' : '"';
+                let depth = 0;
+                const start = index + 1;
+                for (index++; index < body.length; index++) {
+                    if (body[index] === '{') depth++;
+                    else if (body[index] === '}' && (close === '"' || depth > 0)) depth--;
+                    else if (body[index] === close && depth === 0) break;
+                }
+                value = body.slice(start, index);
+                index++;
             } else {
-                newContent += hubSection;
+                const endIndex = body.indexOf(',', index);
+                value = body.slice(index, endIndex === -1 ? body.length : endIndex);
+                index = endIndex === -1 ? body.length : endIndex;
             }
             
-            await this.app.vault.modify(file, newContent);
-        } catch (error) {
-            console.error('Error adding hub section:', error);
+            fields[match[1].toLowerCase()] = this.cleanLatex(value);
+            const comma = body.indexOf(',', index);
+            position = comma === -1 ? body.length : comma + 1;
         }
+        return fields;
     }
 
-    async ensureHub(work, paperName) {
-        const hubPath = this.hubMap.get(work.id);
+    // Drops accent commands and grouping braces: {\'e}t{\'e} -> ete, \& -> &
+    cleanLatex(value) {
+        return value
+            // Accents keep their base letter: \'e, \"{o}, \v{c}, \c c. Letter accents such as \t or \b
+            // only count when no other letter follows, so \textbf and \emph are left for the next step
+            .replace(/\\[`'^"~=.]\s*\{?\\?([a-zA-Z])\}?/g, '$1')
+            .replace(/\\[uvHtcdbk](?![a-zA-Z])\s*\{?\\?([a-zA-Z])\}?/g, '$1')
+            // Formatting commands keep their argument
+            .replace(/\\(?:text(?:bf|it|sc|sl|tt|rm|sf|up|normal)?|emph|mathrm|mathbf|mathit)\s*\{([^{}]*)\}/g, '$1')
+            .replace(/\\([&%$#_{}])/g, '$1')
+            .replace(/[{}]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    // Returns [{ citekey, title, authors, year, venue, doi }] for each RIS record
+    parseRis(text) {
+        const records = [];
+        let tags = null;
         
-        if (hubPath && this.app.vault.getAbstractFileByPath(hubPath)) {
-            await this.updateHubConnection(hubPath, paperName);
-            return hubPath;
+        for (const line of text.split(/\r?\n/)) {
+            const match = line.match(/^([A-Z][A-Z0-9])  -\s?(.*)$/);
+            if (!match) continue;
+            const [, tag, value] = match;
+            
+            if (tag === 'TY') {
+                tags = {};
+            } else if (tag === 'ER') {
+                if (tags) records.push(this.risRecord(tags));
+                tags = null;
+            } else if (tags) {
+                (tags[tag] = tags[tag] || []).push(value.trim());
+            }
+        }
+        return records;
+    }
+
+    risRecord(tags) {
+        const first = (...names) => names.map(name => tags[name]?.[0]).find(Boolean) || null;
+        return {
+            citekey: first('ID'),
+            title: first('TI', 'T1', 'CT'),
+            authors: [...(tags.AU || []), ...(tags.A1 || [])].map(name => this.normalizeAuthorName(name)),
+            year: parseInt((first('PY', 'Y1', 'DA') || '').match(/\d{4}/)?.[0], 10) || null,
+            venue: first('JO', 'JF', 'T2', 'JA'),
+            doi: this.normalizeDoi(first('DO') || (tags.UR || []).find(url => /doi\.org/i.test(url)))
+        };
+    }
+
+    // "Smith, Jane" -> "Jane Smith"
+    normalizeAuthorName(name) {
+        const [family, given] = name.split(',').map(part => part.trim());
+        return given ? `${given} ${family}` : family;
+    }
+
+    normalizeDoi(value) {
+        return value?.match(/10\.\d{4,}\/[^\s"'}]+/)?.[0] || null;
+    }
+
+    async promoteCurrentHub() {
+        const activeFile = this.app.workspace.getActiveFile();
+        if (!activeFile || !activeFile.path.startsWith(`${this.settings.hubFolder}/`)) {
+            new Notice('Open a hub note first');
+            return;
         }
         
-        // Create new hub
         try {
-            await this.app.vault.createFolder(this.settings.hubFolder);
+            const content = await this.app.vault.read(activeFile);
+            const openalexId = this.extractOpenAlexId(content);
+            const work = openalexId && await this.fetchOpenAlexWorkById(openalexId);
+            if (!work) {
+                new Notice(`No OpenAlex work found for ${activeFile.basename}`);
+                return;
+            }
+            
+            const file = await this.importWorkAsPaper(work);
+            if (file) await this.app.workspace.getLeaf(false).openFile(file);
         } catch (error) {
-            // Folder exists
+            console.error(`Error creating paper note for ${activeFile.path}:`, error);
+            new Notice(`Error creating paper note: ${error.message}`);
         }
+    }
+
+    // Builds the paper/hub graph from the notes in the vault: hubs and processed papers are nodes,
+    // hub link regions become typed edges (cites, cited-by, connected)
+    async loadCitationGraph() {
+        const nodes = new Map(); // note basename -> node
+        const hubLinks = [];
+        const vaultWorkIds = new Set();
         
-        const filename = this.generateHubCiteKey(work);
-        const newHubPath = `${this.settings.hubFolder}/${filename}.md`;
+        for (const file of this.app.vault.getMarkdownFiles()) {
+            const isHub = file.path.startsWith(`${this.settings.hubFolder}/`);
+            const isPaper = file.path.includes(this.settings.zoteroFolder) && !isHub;
+            if (!isHub && !isPaper) continue;
+            
+            try {
+                const content = await this.app.vault.read(file);
+                const frontmatter = this.splitFrontmatter(content).frontmatter || {};
+                if (isPaper && frontmatter.processed_by_openalex !== true) continue;
+                if (isHub && !frontmatter.openalex_id) continue;
+                
+                const openalexId = frontmatter.openalex_id ? toShortOpenAlexId(frontmatter.openalex_id) : null;
+                if (isPaper && openalexId) vaultWorkIds.add(openalexId);
+                
+                nodes.set(file.basename, {
+                    id: file.basename,
+                    path: file.path,
+                    label: String(frontmatter.title || file.basename),
+                    kind: isHub ? 'hub' : 'paper',
+                    openalex_id: openalexId,
+                    year: Number.isInteger(frontmatter.publication_year) ? frontmatter.publication_year : null,
+                    venue: frontmatter.journal && frontmatter.journal !== 'Unknown' ? String(frontmatter.journal) : null,
+                    cited_by_count: Number(frontmatter.cited_by_count) || 0
+                });
+                
+                if (isHub) {
+                    hubLinks.push({
+                        hub: file.basename,
+                        connected: [...this.readRegionLinks(content, 'parent'), ...this.readRegionLinks(content, 'connected')],
+                        cited: this.readRegionLinks(content, 'cited'),
+                        citedBy: this.readRegionLinks(content, 'cited-by')
+                    });
+                }
+            } catch (error) {
+                console.error(`Error reading ${file.path} for the citation graph:`, error);
+            }
+        }
         
-        const hubContent = this.createHubContent(work, paperName);
-        await this.app.vault.create(newHubPath, hubContent);
+        // A hub is in the vault when one of your processed papers is the same work
+        for (const node of nodes.values()) {
+            node.in_vault = node.kind === 'paper' || vaultWorkIds.has(node.openalex_id);
+            node.phantom = !node.in_vault;
+        }
         
-        this.hubMap.set(work.id, newHubPath);
-        this.paperHubMap.set(paperName, newHubPath);
-        return newHubPath;
+        const edges = [];
+        const addEdge = (source, target, type) => {
+            if (nodes.has(source) && nodes.has(target) && source !== target) {
+                edges.push({ id: `e${edges.length}`, source, target, type });
+            }
+        };
+        for (const { hub, connected, cited, citedBy } of hubLinks) {
+            connected.forEach(paper => addEdge(paper, hub, 'connected'));
+            cited.forEach(target => addEdge(hub, target, 'cites'));
+            citedBy.forEach(target => addEdge(hub, target, 'cited-by'));
+        }
+        
+        return { nodes: [...nodes.values()], edges };
     }
 
-    async updateHubConnection(hubPath, paperName) {
+    async exportCitationNetwork() {
         try {
-            const file = this.app.vault.getAbstractFileByPath(hubPath);
-            const content = await this.app.vault.read(file);
-            
-            // Check if this paper is already the parent
-            if (content.includes(`## Parent Paper\n- [[${paperName}]]`)) return;
-            
-            // Check if it's in connected papers
-            if (content.includes(`[[${paperName}]]`)) return;
+            const graph = await this.loadCitationGraph();
+            if (graph.nodes.length === 0) {
+                new Notice('No hubs or processed papers to export');
+                return;
+            }
             
-            const connectionsRegex = /## Connected Papers\n([\s\S]*?)(?=\n## |\n---|\n$|$)/;
-            const match = content.match(connectionsRegex);
+            const baseName = `citation-network-${new Date().toISOString().slice(0, 10)}`;
+            await this.writeVaultFile(`${this.settings.exportFolder}/${baseName}.graphml`, this.buildGraphML(graph));
+            await this.writeVaultFile(`${this.settings.exportFolder}/${baseName}.gexf`, this.buildGexf(graph));
+            await this.writeVaultFile(`${this.settings.exportFolder}/${baseName}.json`, this.buildNodeLinkJson(graph));
             
-            if (match) {
-                const newConnection = `- [[${paperName}]]`;
-                const updatedConnections = match[1].trim() + '\n' + newConnection;
-                const updatedContent = content.replace(connectionsRegex, `## Connected Papers\n${updatedConnections}\n`);
-                await this.app.vault.modify(file, updatedContent);
-            }
+            new Notice(`Exported ${graph.nodes.length} nodes and ${graph.edges.length} edges to ${this.settings.exportFolder}`);
         } catch (error) {
-            console.error(`Error updating hub connection ${hubPath}:`, error);
+            console.error('Error exporting citation network:', error);
+            new Notice(`Error exporting citation network: ${error.message}`);
         }
     }
 
-    async processReferencesAndCitations(work, sourcePaper, hubPath) {
-        const citedLinks = [];
-        const citedByLinks = [];
+    buildGraphML(graph) {
+        const nodeKeys = [
+            ['label', 'string'], ['kind', 'string'], ['openalex_id', 'string'], ['year', 'int'],
+            ['venue', 'string'], ['cited_by_count', 'int'], ['in_vault', 'boolean']
+        ];
         
-        // Process references (papers this one cites)
-        if (work.referenced_works?.length > 0) {
-            const referencesToProcess = work.referenced_works.slice(0, this.settings.maxReferencesToProcess);
+        let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+        xml += '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">\n';
+        nodeKeys.forEach(([name, type]) => {
+            xml += `  <key id="${name}" for="node" attr.name="${name}" attr.type="${type}"/>\n`;
+        });
+        xml += '  <key id="type" for="edge" attr.name="type" attr.type="string"/>\n';
+        xml += '  <graph id="citation-network" edgedefault="directed">\n';
+        
+        for (const node of graph.nodes) {
+            xml += `    <node id="${this.escapeXml(node.id)}">\n`;
+            nodeKeys.forEach(([name]) => {
+                if (node[name] !== null && node[name] !== undefined) {
+                    xml += `      <data key="${name}">${this.escapeXml(String(node[name]))}</data>\n`;
+                }
+            });
+            xml += '    </node>\n';
+        }
+        for (const edge of graph.edges) {
+            xml += `    <edge id="${edge.id}" source="${this.escapeXml(edge.source)}" target="${this.escapeXml(edge.target)}">\n`;
+            xml += `      <data key="type">${edge.type}</data>\n`;
+            xml += '    </edge>\n';
+        }
+        
+        xml += '  </graph>\n</graphml>\n';
+        return xml;
+    }
+
+    buildGexf(graph) {
+        const nodeAttributes = [
+            ['kind', 'string'], ['openalex_id', 'string'], ['year', 'integer'],
+            ['venue', 'string'], ['cited_by_count', 'integer'], ['in_vault', 'boolean']
+        ];
+        
+        let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+        xml += '<gexf xmlns="http://gexf.net/1.3" version="1.3">\n';
+        xml += '  <graph defaultedgetype="directed" mode="static">\n';
+        xml += '    <attributes class="node">\n';
+        nodeAttributes.forEach(([name, type], index) => {
+            xml += `      <attribute id="${index}" title="${name}" type="${type}"/>\n`;
+        });
+        xml += '    </attributes>\n';
+        xml += '    <attributes class="edge">\n      <attribute id="0" title="type" type="string"/>\n    </attributes>\n';
+        
+        xml += '    <nodes>\n';
+        for (const node of graph.nodes) {
+            xml += `      <node id="${this.escapeXml(node.id)}" label="${this.escapeXml(node.label)}">\n        <attvalues>\n`;
+            nodeAttributes.forEach(([name], index) => {
+                if (node[name] !== null && node[name] !== undefined) {
+                    xml += `          <attvalue for="${index}" value="${this.escapeXml(String(node[name]))}"/>\n`;
+                }
+            });
+            xml += '        </attvalues>\n      </node>\n';
+        }
+        xml += '    </nodes>\n    <edges>\n';
+        for (const edge of graph.edges) {
+            xml += `      <edge id="${edge.id}" source="${this.escapeXml(edge.source)}" target="${this.escapeXml(edge.target)}" label="${edge.type}">\n`;
+            xml += `        <attvalues>\n          <attvalue for="0" value="${edge.type}"/>\n        </attvalues>\n`;
+            xml += '      </edge>\n';
+        }
+        xml += '    </edges>\n  </graph>\n</gexf>\n';
+        return xml;
+    }
+
+    // networkx node-link format (json_graph.node_link_graph); edge keys keep typed parallel edges apart
+    buildNodeLinkJson(graph) {
+        return JSON.stringify({
+            directed: true,
+            multigraph: true,
+            graph: { name: 'citation-network', exported: new Date().toISOString() },
+            nodes: graph.nodes,
+            links: graph.edges.map(edge => ({ source: edge.source, target: edge.target, key: edge.type, type: edge.type }))
+        }, null, 2);
+    }
+
+    // Resolves the hub of a processed paper note, or the hub itself when a hub is given
+    async findHubPath(file) {
+        if (file.path.startsWith(`${this.settings.hubFolder}/`)) return file.path;
+        
+        const content = await this.app.vault.read(file);
+        const openalexId = this.splitFrontmatter(content).frontmatter?.openalex_id;
+        return (openalexId && this.hubMap.get(openalexId)) || this.paperHubMap.get(file.basename) || null;
+    }
+
+    async expandCitationNetwork() {
+        const activeFile = this.app.workspace.getActiveFile();
+        if (!activeFile) {
+            new Notice('No active file');
+            return;
+        }
+        
+        const hubPath = await this.findHubPath(activeFile);
+        if (!hubPath || !this.app.vault.getAbstractFileByPath(hubPath)) {
+            new Notice('No hub found for this file. Process it with OpenAlex first.');
+            return;
+        }
+        new CitationCrawlModal(this.app, this, async options => {
+            Object.assign(this.settings, options);
+            await this.saveSettings();
+            await this.crawlCitationNetwork(hubPath, options);
+        }).open();
+    }
+
+    // Breadth-first crawl from the seed hub. Each hop's neighbours are tried most cited first; accepted
+    // works get a hub (phantom unless one exists), are linked from the hub they were reached through,
+    // and are tagged with crawl_seed/crawl_distance. Stops after `crawlDepth` hops or `crawlBudget` works.
+    async crawlCitationNetwork(seedHubPath, options) {
+        if (this.crawlRunning) {
+            new Notice('A citation network expansion is already running');
+            return;
+        }
+        this.crawlRunning = true;
+        const notice = new Notice('Expanding citation network...', 0);
+        
+        try {
+            const seedFile = this.app.vault.getAbstractFileByPath(seedHubPath);
+            const seedContent = await this.app.vault.read(seedFile);
+            const seedId = this.extractOpenAlexId(seedContent);
+            const seed = seedId && await this.fetchOpenAlexWorkById(seedId);
+            if (!seed) throw new Error(`No OpenAlex data found for ${seedFile.basename}`);
             
-            for (const refId of referencesToProcess) {
-                try {
-                    const refWork = await this.fetchOpenAlexWorkById(refId);
-                    if (!refWork) continue;
-                    
-                    const refHubName = this.generateHubCiteKey(refWork);
-                    citedLinks.push(`[[${refHubName}]]`);
+            // Works one hop away are connected to the seed's paper, as in normal processing
+            const [seedPaper] = this.splitFrontmatter(seedContent).frontmatter?.hub_status === 'phantom'
+                ? [] : this.readRegionLinks(seedContent, 'parent');
+            const accept = this.buildCrawlFilter(options);
+            const distances = new Map([[seed.id, { hubPath: seedHubPath, distance: 0 }]]);
+            const failures = [];
+            let frontier = [seed];
+            let created = 0;
+            
+            for (let hop = 1; hop <= options.crawlDepth && frontier.length > 0; hop++) {
+                const next = [];
+                for (const work of frontier) {
+                    if (distances.size > options.crawlBudget) break;
+                    notice.setMessage(`Expanding citation network: hop ${hop} of ${options.crawlDepth}, ${distances.size - 1} of ${options.crawlBudget} works`);
                     
-                    // Create phantom hub if createPhantomLinks is enabled
-                    if (this.settings.createPhantomLinks) {
-                        await this.ensureHub(refWork, sourcePaper);
+                    const links = { cited: [], 'cited-by': [] };
+                    const remaining = options.crawlBudget - (distances.size - 1);
+                    for (const { work: neighbour, region } of await this.fetchCrawlNeighbours(work, remaining, options, failures)) {
+                        // Already reached: only link it, so edges between crawled works are kept
+                        if (!distances.has(neighbour.id)) {
+                            if (distances.size > options.crawlBudget || !accept(neighbour)) continue;
+                            if (!this.hubMap.has(neighbour.id)) created++;
+                            const hubPath = await this.ensureHub(neighbour, hop === 1 ? seedPaper : null, { phantom: true });
+                            distances.set(neighbour.id, { hubPath, distance: hop });
+                            next.push(neighbour);
+                        }
+                        links[region].push(this.getHubName(neighbour));
                     }
                     
-                    await this.delay(this.settings.delayBetweenRequests);
-                } catch (error) {
-                    console.error(`Error processing reference ${refId}:`, error);
+                    const hubPath = distances.get(work.id).hubPath;
+                    await this.addHubLinks(hubPath, 'cited', links.cited);
+                    await this.addHubLinks(hubPath, 'cited-by', links['cited-by']);
                 }
+                frontier = next;
+            }
+            
+            await this.recordCrawlDistances(toShortOpenAlexId(seed.id), distances);
+            notice.hide();
+            new Notice(`Expanded ${seedFile.basename}: ${distances.size - 1} works within ${options.crawlDepth} hops (${created} new hubs)`);
+            this.reportFailures('Expand citation network', failures);
+        } catch (error) {
+            notice.hide();
+            console.error('Error expanding citation network:', error);
+            new Notice(`Error expanding citation network: ${error.message}`);
+        } finally {
+            this.crawlRunning = false;
+        }
+    }
+
+    buildCrawlFilter({ crawlMinCitations, crawlFromYear, crawlToYear, crawlTopics }) {
+        const keywords = crawlTopics.split(',').map(keyword => keyword.trim().toLowerCase()).filter(Boolean);
+        return work => {
+            if ((work.cited_by_count || 0) < crawlMinCitations) return false;
+            if (crawlFromYear && !(work.publication_year >= crawlFromYear)) return false;
+            if (crawlToYear && !(work.publication_year <= crawlToYear)) return false;
+            if (keywords.length === 0) return true;
+            // Topic keywords match the topic, subfield, field or domain name
+            return this.getTopics(work).some(topic => [topic.name, topic.subfield, topic.field, topic.domain]
+                .some(name => name && keywords.some(keyword => name.toLowerCase().includes(keyword))));
+        };
+    }
+
+    // Returns [{ work, region }] with region 'cited' (references) or 'cited-by', most cited first.
+    // Each direction fetches no more than the remaining budget plus some headroom for filtered-out works
+    async fetchCrawlNeighbours(work, remaining, { crawlDirection, crawlFromYear, crawlToYear }, failures) {
+        const neighbours = [];
+        const query = { sort: 'cited_by_count', fromYear: crawlFromYear, toYear: crawlToYear };
+        
+        if (crawlDirection !== 'forward') {
+            try {
+                const refWorks = await this.provider.getReferencedWorks(work.id, {
+                    ...query,
+                    limit: Math.min(this.settings.maxReferencesToProcess, remaining + CRAWL_FETCH_HEADROOM)
+                });
+                refWorks.forEach(refWork => neighbours.push({ work: refWork, region: 'cited' }));
+            } catch (error) {
+                console.error(`Error fetching works cited by ${work.id}:`, error);
+                failures.push({ id: `refs:${toShortOpenAlexId(work.id)}`, reason: error.message });
             }
         }
         
-        // Process cited-by papers
-        if (work.cited_by_count > 0) {
+        if (crawlDirection !== 'backward' && work.cited_by_count > 0) {
             try {
-                const citedByUrl = `https://api.openalex.org/works?filter=cites:${work.id}&per-page=${this.settings.maxCitedByToProcess}`;
-                const response = await fetch(citedByUrl);
-                if (response.ok) {
-                    const data = await response.json();
-                    const citedByWorks = data.results || [];
-                    
-                    for (const citingWork of citedByWorks) {
-                        const citingHubName = this.generateHubCiteKey(citingWork);
-                        citedByLinks.push(`[[${citingHubName}]]`);
-                        
-                        // Create phantom hub if createPhantomLinks is enabled
-                        if (this.settings.createPhantomLinks) {
-                            await this.ensureHub(citingWork, sourcePaper);
-                        }
-                        
-                        await this.delay(this.settings.delayBetweenRequests);
-                    }
-                }
+                const citingWorks = await this.provider.getCitingWorks(work.id, {
+                    ...query,
+                    limit: Math.min(this.settings.maxCitedByToProcess, remaining + CRAWL_FETCH_HEADROOM)
+                });
+                citingWorks.forEach(citingWork => neighbours.push({ work: citingWork, region: 'cited-by' }));
             } catch (error) {
-                console.error('Error processing cited-by papers:', error);
+                console.error(`Error fetching works citing ${work.id}:`, error);
+                failures.push({ id: `cites:${toShortOpenAlexId(work.id)}`, reason: error.message });
             }
         }
         
-        // Update hub with cited and cited-by sections
-        await this.updateHubWithCitations(hubPath, citedLinks, citedByLinks);
+        return neighbours.sort((a, b) => (b.work.cited_by_count || 0) - (a.work.cited_by_count || 0));
     }
 
-    async updateHubWithCitations(hubPath, citedLinks, citedByLinks) {
+    // A hub keeps the shortest distance it has from the same seed; a crawl from another seed replaces it
+    async recordCrawlDistances(seedId, distances) {
+        for (const { hubPath, distance } of distances.values()) {
+            try {
+                const file = this.app.vault.getAbstractFileByPath(hubPath);
+                const content = await this.app.vault.read(file);
+                const frontmatter = this.splitFrontmatter(content).frontmatter || {};
+                if (frontmatter.crawl_seed === seedId && frontmatter.crawl_distance <= distance) continue;
+                await this.app.vault.modify(file, this.updateFrontmatter(content, { crawl_seed: seedId, crawl_distance: distance }));
+            } catch (error) {
+                console.error(`Error recording crawl distance for ${hubPath}:`, error);
+            }
+        }
+    }
+
+    async createCitationCanvas() {
+        const activeFile = this.app.workspace.getActiveFile();
+        if (!activeFile) {
+            new Notice('No active file');
+            return;
+        }
+        
         try {
-            const file = this.app.vault.getAbstractFileByPath(hubPath);
-            let content = await this.app.vault.read(file);
+            const hubPath = await this.findHubPath(activeFile);
+            const graph = await this.loadCitationGraph();
+            const hubName = hubPath && hubPath.split('/').pop().replace(/\.md$/, '');
+            const centre = graph.nodes.find(node => node.id === hubName);
+            if (!centre) {
+                new Notice('No hub found for this file. Process it with OpenAlex first.');
+                return;
+            }
             
-            // Add Cited section
-            if (citedLinks.length > 0) {
-                const citedSection = `## Cited\n${citedLinks.map(link => `- ${link}`).join('\n')}\n\n`;
+            const byId = new Map(graph.nodes.map(node => [node.id, node]));
+            const neighbours = type => [...new Set(graph.edges
+                .filter(edge => edge.source === centre.id && edge.type === type)
+                .map(edge => edge.target))]
+                .map(id => byId.get(id));
+            
+            const canvas = this.buildCitationCanvas(centre, neighbours('cites'), neighbours('cited-by'));
+            const canvasPath = `${this.settings.exportFolder}/${centre.id}.canvas`;
+            await this.writeVaultFile(canvasPath, JSON.stringify(canvas, null, 2));
+            
+            const canvasFile = this.app.vault.getAbstractFileByPath(canvasPath);
+            if (canvasFile) await this.app.workspace.getLeaf(true).openFile(canvasFile);
+            new Notice(`Created citation canvas with ${canvas.nodes.filter(node => node.type === 'file').length} papers`);
+        } catch (error) {
+            console.error('Error creating citation canvas:', error);
+            new Notice(`Error creating citation canvas: ${error.message}`);
+        }
+    }
+
+    // References go to the left and citing works to the right, one row per publication year (oldest on top)
+    buildCitationCanvas(centre, references, citingWorks) {
+        const width = 400;
+        const height = 120;
+        const gap = 40;
+        const labelWidth = 100;
+        const colours = { centre: '2', inVault: '5', phantom: '1' };
+        
+        const nodes = [{
+            id: 'centre', type: 'file', file: centre.path,
+            x: -width / 2, y: -height / 2, width, height, color: colours.centre
+        }];
+        const edges = [];
+        
+        const placeSide = (works, direction) => {
+            const rows = new Map();
+            works.forEach(work => {
+                const year = work.year || 'Unknown';
+                if (!rows.has(year)) rows.set(year, []);
+                rows.get(year).push(work);
+            });
+            const years = [...rows.keys()].sort((a, b) => (a === 'Unknown') - (b === 'Unknown') || a - b);
+            const top = -(years.length * (height + gap) - gap) / 2;
+            const side = direction < 0 ? 'left' : 'right';
+            const opposite = direction < 0 ? 'right' : 'left';
+            
+            years.forEach((year, row) => {
+                const y = top + row * (height + gap);
+                const labelX = direction < 0 ? -width / 2 - gap - labelWidth : width / 2 + gap;
+                nodes.push({
+                    id: `${side}-year-${year}`, type: 'text', text: `**${year}**`,
+                    x: labelX, y: y + height / 2 - 30, width: labelWidth, height: 60
+                });
                 
-                const citedRegex = /## Cited\n[\s\S]*?(?=\n## |\n---|\n$|$)/;
-                if (citedRegex.test(content)) {
-                    content = content.replace(citedRegex, citedSection.trim());
-                } else {
-                    const insertPoint = content.indexOf('## Research Notes');
-                    if (insertPoint !== -1) {
-                        content = content.slice(0, insertPoint) + citedSection + content.slice(insertPoint);
-                    } else {
-                        content += citedSection;
+                rows.get(year).forEach((work, column) => {
+                    const offset = width / 2 + 2 * gap + labelWidth + column * (width + gap);
+                    const id = `${side}-${work.id}`;
+                    nodes.push({
+                        id, type: 'file', file: work.path,
+                        x: direction < 0 ? -offset - width : offset, y, width, height,
+                        color: work.in_vault ? colours.inVault : colours.phantom
+                    });
+                    // Arrows point from the citing work to the cited one
+                    edges.push(direction < 0
+                        ? { id: `edge-${id}`, fromNode: 'centre', fromSide: side, toNode: id, toSide: opposite }
+                        : { id: `edge-${id}`, fromNode: id, fromSide: opposite, toNode: 'centre', toSide: side });
+                });
+            });
+        };
+        
+        placeSide(references, -1);
+        placeSide(citingWorks, 1);
+        return { nodes, edges };
+    }
+
+    // Scores every pair of hubs by bibliographic coupling (references they share) and
+    // co-citation (works citing both). Returns hub id -> related hubs, strongest first.
+    computeRelatedPapers(graph) {
+        const hubs = new Set(graph.nodes.filter(node => node.kind === 'hub').map(node => node.id));
+        const inVault = new Set(graph.nodes.filter(node => node.kind === 'hub' && node.in_vault).map(node => node.id));
+        const references = new Map();
+        const citers = new Map();
+        // Only hubs are ranked, so paper notes never enter the groups
+        const add = (map, key, value) => {
+            if (!hubs.has(value)) return;
+            if (!map.has(key)) map.set(key, new Set());
+            map.get(key).add(value);
+        };
+        for (const edge of graph.edges) {
+            if (edge.type === 'cites') {
+                add(references, edge.source, edge.target);
+                add(citers, edge.target, edge.source);
+            } else if (edge.type === 'cited-by') {
+                add(citers, edge.source, edge.target);
+                add(references, edge.target, edge.source);
+            }
+        }
+        
+        const scores = new Map();
+        const countPair = (a, b, measure) => {
+            for (const [from, to] of [[a, b], [b, a]]) {
+                if (!scores.has(from)) scores.set(from, new Map());
+                const score = scores.get(from).get(to) || { id: to, coupling: 0, cocitation: 0 };
+                score[measure]++;
+                scores.get(from).set(to, score);
+            }
+        };
+        const countPairs = (groups, measure) => {
+            for (const members of groups.values()) {
+                const ids = [...members];
+                if (ids.length > MAX_RELATED_GROUP_SIZE) {
+                    const anchors = ids.filter(id => inVault.has(id));
+                    for (const a of anchors) {
+                        for (const b of ids) {
+                            // Pairs of two vault papers are counted once, from the smaller id
+                            if (b !== a && (!inVault.has(b) || a < b)) countPair(a, b, measure);
+                        }
                     }
+                    continue;
                 }
-            }
-            
-            // Add Cited By section
-            if (citedByLinks.length > 0) {
-                const citedBySection = `## Cited By\n${citedByLinks.map(link => `- ${link}`).join('\n')}\n\n`;
-                
-                const citedByRegex = /## Cited By\n[\s\S]*?(?=\n## |\n---|\n$|$)/;
-                if (citedByRegex.test(content)) {
-                    content = content.replace(citedByRegex, citedBySection.trim());
-                } else {
-                    const insertPoint = content.indexOf('## Research Notes');
-                    if (insertPoint !== -1) {
-                        content = content.slice(0, insertPoint) + citedBySection + content.slice(insertPoint);
-                    } else {
-                        content += citedBySection;
+                for (let i = 0; i < ids.length; i++) {
+                    for (let j = i + 1; j < ids.length; j++) {
+                        countPair(ids[i], ids[j], measure);
                     }
                 }
             }
-            
-            await this.app.vault.modify(file, content);
-        } catch (error) {
-            console.error('Error updating hub with citations:', error);
+        };
+        // Works cited by the same paper are co-cited; works citing the same paper are coupled
+        countPairs(references, 'cocitation');
+        countPairs(citers, 'coupling');
+        
+        const related = new Map();
+        for (const [id, pairs] of scores) {
+            related.set(id, [...pairs.values()]
+                .map(score => ({ ...score, strength: score.coupling + score.cocitation }))
+                .sort((a, b) => b.strength - a.strength || b.coupling - a.coupling));
         }
+        return related;
+    }
+
+    async updateRelatedPapers() {
+        try {
+            new Notice('Analysing citation overlap...');
+            const graph = await this.loadCitationGraph();
+            const related = this.computeRelatedPapers(graph);
+            const byId = new Map(graph.nodes.map(node => [node.id, node]));
+            const paperByWorkId = new Map(graph.nodes
+                .filter(node => node.kind === 'paper' && node.openalex_id)
+                .map(node => [node.openalex_id, node]));
+            
+            const describe = score => {
+                const node = byId.get(score.id);
+                const paper = paperByWorkId.get(node.openalex_id);
+                const reasons = [];
+                if (score.coupling) reasons.push(`${score.coupling} shared ${score.coupling === 1 ? 'reference' : 'references'}`);
+                if (score.cocitation) reasons.push(`co-cited ${score.cocitation} ${score.cocitation === 1 ? 'time' : 'times'}`);
+                return `[[${paper ? paper.id : node.id}]] (${reasons.join(', ')})`;
+            };
+            
+            let updated = 0;
+            for (const hub of graph.nodes.filter(node => node.kind === 'hub')) {
+                const scores = related.get(hub.id) || [];
+                const inVault = scores.filter(score => byId.get(score.id).in_vault).slice(0, this.settings.maxRelatedPapers);
+                const suggested = scores.filter(score => !byId.get(score.id).in_vault).slice(0, this.settings.maxRelatedPapers);
+                const sections = {
+                    related: this.buildLinkSection('related', inVault.map(describe)),
+                    suggested: this.buildLinkSection('suggested', suggested.map(describe))
+                };
+                const empty = inVault.length === 0 && suggested.length === 0;
+                
+                if (await this.writeRelatedSections(hub.path, sections, ['## Research Notes'], empty)) updated++;
+                const paper = paperByWorkId.get(hub.openalex_id);
+                if (paper && await this.writeRelatedSections(paper.path, sections, ['🗒 Persistent Notes'], empty)) updated++;
+            }
+            
+            new Notice(`Updated related papers in ${updated} notes`);
+        } catch (error) {
+            console.error('Error finding related papers:', error);
+            new Notice(`Error finding related papers: ${error.message}`);
+        }
+    }
+
+    // Returns true when the note changed; notes without any related papers are left alone
+    async writeRelatedSections(path, sections, anchors, empty) {
+        const file = this.app.vault.getAbstractFileByPath(path);
+        if (!file) return false;
+        
+        const content = await this.app.vault.read(file);
+        if (empty && !this.findManagedRegion(content, 'related') && !this.findManagedRegion(content, 'suggested')) {
+            return false;
+        }
+        
+        let newContent = this.upsertManagedRegion(content, 'related', sections.related, { anchors });
+        newContent = this.upsertManagedRegion(newContent, 'suggested', sections.suggested, { anchors });
+        if (newContent === content) return false;
+        
+        await this.app.vault.modify(file, newContent);
+        return true;
+    }
+
+    async exportBibliographyForCurrentNote() {
+        const activeFile = this.app.workspace.getActiveFile();
+        if (!activeFile) {
+            new Notice('No active file');
+            return;
+        }
+        
+        const openalexId = this.extractOpenAlexId(await this.app.vault.read(activeFile));
+        if (!openalexId) {
+            new Notice(`${activeFile.basename} has no OpenAlex ID. Process it first.`);
+            return;
+        }
+        this.chooseBibliographyFormat([openalexId], activeFile.basename);
+    }
+
+    async exportBibliographyForCurrentFolder() {
+        const parent = this.app.workspace.getActiveFile()?.parent?.path;
+        if (parent === undefined) {
+            new Notice('No active file');
+            return;
+        }
+        // Notes at the vault root have '/' as their parent path: export the whole vault
+        const folder = parent === '/' ? '' : parent;
+        
+        const ids = new Set();
+        for (const file of this.app.vault.getMarkdownFiles()) {
+            if (folder && !file.path.startsWith(`${folder}/`)) continue;
+            const openalexId = this.extractOpenAlexId(await this.app.vault.read(file));
+            if (openalexId) ids.add(openalexId);
+        }
+        if (ids.size === 0) {
+            new Notice('No processed papers or hubs in this folder');
+            return;
+        }
+        this.chooseBibliographyFormat([...ids], (folder || 'vault').split('/').pop());
+    }
+
+    async exportBibliographyForHubCited() {
+        const activeFile = this.app.workspace.getActiveFile();
+        const hubPath = activeFile && await this.findHubPath(activeFile);
+        const hubFile = hubPath && this.app.vault.getAbstractFileByPath(hubPath);
+        if (!hubFile) {
+            new Notice('No hub found for this file. Process it with OpenAlex first.');
+            return;
+        }
+        
+        const ids = [];
+        for (const name of this.readRegionLinks(await this.app.vault.read(hubFile), 'cited')) {
+            const citedHub = this.app.vault.getAbstractFileByPath(`${this.settings.hubFolder}/${name}.md`);
+            const openalexId = citedHub && this.extractOpenAlexId(await this.app.vault.read(citedHub));
+            if (openalexId) ids.push(openalexId);
+        }
+        if (ids.length === 0) {
+            new Notice(`${hubFile.basename} has no cited papers`);
+            return;
+        }
+        this.chooseBibliographyFormat(ids, `${hubFile.basename} cited`);
+    }
+
+    chooseBibliographyFormat(ids, baseName) {
+        new BibliographyFormatModal(this.app, format => this.exportBibliography(ids, baseName, format)).open();
+    }
+
+    async exportBibliography(ids, baseName, format) {
+        try {
+            const failures = [];
+            const works = (await this.fetchOpenAlexWorksByIds(ids, failures)).filter(Boolean);
+            if (works.length === 0) {
+                new Notice('Could not fetch any of the papers from OpenAlex');
+                return;
+            }
+            
+            const keys = this.getCiteKeys(works);
+            const builders = {
+                bibtex: () => works.map((work, i) => this.buildBibtexEntry(work, keys[i])).join('\n\n') + '\n',
+                ris: () => works.map((work, i) => this.buildRisEntry(work, keys[i])).join('\n\n') + '\n',
+                'csl-json': () => JSON.stringify(works.map((work, i) => this.buildCslItem(work, keys[i])), null, 2)
+            };
+            const path = `${this.settings.exportFolder}/${this.sanitizeFilename(baseName)}.${BIBLIOGRAPHY_FORMATS[format][1]}`;
+            await this.writeVaultFile(path, builders[format]());
+            
+            new Notice(`Exported ${works.length} references to ${path}`);
+            this.reportFailures('Bibliography export', failures);
+        } catch (error) {
+            console.error('Error exporting bibliography:', error);
+            new Notice(`Error exporting bibliography: ${error.message}`);
+        }
+    }
+
+    // The default hub filename, minus characters BibTeX does not allow in keys. It ignores the
+    // user's filename pattern so citation keys stay stable when that pattern changes.
+    getCiteKey(work) {
+        return this.generateHubCiteKey(work, DEFAULT_HUB_FILENAME_PATTERN).replace(/[\s,{}"#%'()=\\~]/g, '');
+    }
+
+    // Cite keys for one export; works sharing a key get suffixes a, b, c... in export order
+    getCiteKeys(works) {
+        const keys = works.map(work => this.getCiteKey(work));
+        const counts = new Map();
+        keys.forEach(key => counts.set(key, (counts.get(key) || 0) + 1));
+        
+        const seen = new Map();
+        return keys.map(key => {
+            if (counts.get(key) === 1) return key;
+            const n = seen.get(key) || 0;
+            seen.set(key, n + 1);
+            return `${key}${this.citeKeySuffix(n)}`;
+        });
+    }
+
+    // 0 -> a, 25 -> z, 26 -> aa
+    citeKeySuffix(n) {
+        return (n >= 26 ? this.citeKeySuffix(Math.floor(n / 26) - 1) : '') + String.fromCharCode(97 + n % 26);
+    }
+
+    getBibliographyType(work) {
+        if (work.primary_location?.source?.type === 'conference') return BIBLIOGRAPHY_TYPES.conference;
+        return BIBLIOGRAPHY_TYPES[work.type] || DEFAULT_BIBLIOGRAPHY_TYPE;
+    }
+
+    // Bibliographic fields shared by all export formats
+    getBibliographyFields(work) {
+        const biblio = work.biblio || {};
+        return {
+            title: work.display_name || work.title || '',
+            authors: (work.authorships || []).map(authorship => this.splitAuthorName(authorship.author?.display_name || '')),
+            year: work.publication_year || null,
+            venue: this.getVenueName(work),
+            publisher: work.primary_location?.source?.host_organization_name || null,
+            volume: biblio.volume || null,
+            issue: biblio.issue || null,
+            firstPage: biblio.first_page || null,
+            lastPage: biblio.last_page || null,
+            doi: work.doi ? work.doi.replace(/^https?:\/\/doi\.org\//i, '') : null,
+            url: this.getOpenAccessUrl(work) || work.doi || work.id
+        };
+    }
+
+    // OpenAlex only has display names; the last word is taken as the family name
+    splitAuthorName(name) {
+        const parts = name.trim().split(/\s+/);
+        return { family: parts.pop() || '', given: parts.join(' ') };
+    }
+
+    buildBibtexEntry(work, citeKey = this.getCiteKey(work)) {
+        const fields = this.getBibliographyFields(work);
+        const [entryType] = this.getBibliographyType(work);
+        const venueField = { article: 'journal', inproceedings: 'booktitle', incollection: 'booktitle', phdthesis: 'school', techreport: 'institution' }[entryType] || 'howpublished';
+        const escape = value => String(value).replace(/[{}\\]/g, '').replace(/([&%$#_])/g, '\\$1');
+        
+        const entries = [
+            ['author', fields.authors.map(author => author.given ? `${author.family}, ${author.given}` : author.family).join(' and ')],
+            ['title', fields.title],
+            [venueField, fields.venue],
+            ['publisher', fields.publisher],
+            ['year', fields.year],
+            ['volume', fields.volume],
+            ['number', fields.issue],
+            ['pages', fields.firstPage && (fields.lastPage && fields.lastPage !== fields.firstPage ? `${fields.firstPage}--${fields.lastPage}` : fields.firstPage)],
+            ['doi', fields.doi],
+            ['url', fields.url]
+        ].filter(([, value]) => value);
+        
+        const lines = entries.map(([key, value]) => {
+            // DOIs and URLs are taken verbatim; double braces keep the title's capitalisation
+            if (key === 'doi' || key === 'url') return `  ${key} = {${value}}`;
+            return key === 'title' ? `  title = {{${escape(value)}}}` : `  ${key} = {${escape(value)}}`;
+        });
+        return `@${entryType}{${citeKey},\n${lines.join(',\n')}\n}`;
+    }
+
+    buildRisEntry(work, citeKey = this.getCiteKey(work)) {
+        const fields = this.getBibliographyFields(work);
+        const [, risType] = this.getBibliographyType(work);
+        
+        const lines = [`TY  - ${risType}`, `ID  - ${citeKey}`];
+        fields.authors.forEach(author => lines.push(`AU  - ${author.given ? `${author.family}, ${author.given}` : author.family}`));
+        const entries = [
+            ['TI', fields.title], ['T2', fields.venue], ['PB', fields.publisher], ['PY', fields.year],
+            ['VL', fields.volume], ['IS', fields.issue], ['SP', fields.firstPage], ['EP', fields.lastPage],
+            ['DO', fields.doi], ['UR', fields.url]
+        ];
+        entries.filter(([, value]) => value).forEach(([tag, value]) => lines.push(`${tag}  - ${value}`));
+        lines.push('ER  - ');
+        return lines.join('\n');
+    }
+
+    buildCslItem(work, citeKey = this.getCiteKey(work)) {
+        const fields = this.getBibliographyFields(work);
+        const [, , cslType] = this.getBibliographyType(work);
+        const page = fields.firstPage && (fields.lastPage && fields.lastPage !== fields.firstPage ? `${fields.firstPage}-${fields.lastPage}` : fields.firstPage);
+        
+        return this.withoutUndefined({
+            id: citeKey,
+            type: cslType,
+            title: fields.title,
+            author: fields.authors.map(author => author.given ? author : { literal: author.family }),
+            issued: fields.year ? { 'date-parts': [[fields.year]] } : undefined,
+            'container-title': fields.venue || undefined,
+            publisher: fields.publisher || undefined,
+            volume: fields.volume || undefined,
+            issue: fields.issue || undefined,
+            page: page || undefined,
+            DOI: fields.doi || undefined,
+            URL: fields.url
+        });
+    }
+
+    escapeXml(value) {
+        return value
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    // Creates or overwrites a file (and its folder) inside the vault
+    async writeVaultFile(path, data) {
+        const folder = path.split('/').slice(0, -1).join('/');
+        if (folder) {
+            try {
+                await this.app.vault.createFolder(folder);
+            } catch (error) {
+                // Folder exists
+            }
+        }
+        
+        const existing = this.app.vault.getAbstractFileByPath(path);
+        if (existing) {
+            await this.app.vault.modify(existing, data);
+        } else {
+            await this.app.vault.create(path, data);
+        }
+    }
+
+    // `pattern` defaults to the user's hub filename pattern
+    generateHubCiteKey(work, pattern = this.settings.hubFilenamePattern || DEFAULT_HUB_FILENAME_PATTERN) {
+        const firstAuthor = work.authorships?.[0]?.author.display_name.split(' ').pop() || 'Unknown';
+        const year = work.publication_year || 'NoYear';
+        
+        const stopWords = new Set(['the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'can', 'had', 'her', 'was', 'one', 'our', 'out', 'day', 'get', 'has', 'him', 'his', 'how', 'its', 'may', 'new', 'now', 'old', 'see', 'two', 'who', 'boy', 'did', 'use', 'way', 'she', 'man', 'own', 'say', 'too', 'any', 'from', 'they', 'know', 'want', 'been', 'good', 'much', 'some', 'time', 'very', 'when', 'come', 'here', 'just', 'like', 'long', 'make', 'many', 'over', 'such', 'take', 'than', 'them', 'well', 'were']);
+        
+        const title = work.display_name || work.title || '';
+        const words = title
+            .replace(/[^\w\s]/g, '')
+            .split(/\s+/)
+            .filter(word => word.length > 2 && !stopWords.has(word.toLowerCase()))
+            .slice(0, 3)
+            .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase());
+        
+        const titlePart = words.length > 0 ? words.join('') : 'UnknownTitle';
+        const name = this.compileTemplate(pattern, DEFAULT_HUB_FILENAME_PATTERN).render({
+            ...this.buildTemplateContext(work),
+            author: firstAuthor,
+            year,
+            title_words: titlePart
+        });
+        return this.sanitizeFilename(name) || `hub_${toShortOpenAlexId(work.id)}`;
+    }
+
+    // Links to hubs that already exist use their file name, which may follow an older filename pattern
+    getHubName(work) {
+        const hubPath = this.hubMap.get(work.id);
+        return hubPath ? hubPath.split('/').pop().replace(/\.md$/, '') : this.generateHubCiteKey(work);
+    }
+
+    // Values available to templates: every OpenAlex work field plus ready-formatted ones
+    buildTemplateContext(work) {
+        return {
+            ...work,
+            title: work.display_name || work.title || 'Unknown Paper',
+            year: work.publication_year,
+            short_id: toShortOpenAlexId(work.id),
+            venue: this.getVenueName(work),
+            author_list: this.formatAuthors(work),
+            authors: (work.authorships || []).map(authorship => ({
+                name: authorship.author.display_name,
+                id: authorship.author.id,
+                orcid: authorship.author.orcid,
+                institutions: (authorship.institutions || []).map(institution => institution.display_name).join(', ')
+            })),
+            topics: this.getTopics(work).map(topic => ({ ...topic, label: this.formatTopic(topic) })),
+            references: (work.referenced_works || []).map(id => ({ id, short_id: toShortOpenAlexId(id) })),
+            reference_count: work.referenced_works?.length || 0,
+            abstract: this.buildAbstract(work),
+            open_access_status: this.formatOpenAccess(work),
+            oa_url: this.getOpenAccessUrl(work)
+        };
+    }
+
+    // Compiled templates are cached by source; one that fails to parse is replaced by `fallback`
+    compileTemplate(source, fallback) {
+        if (!this.templateCache.has(source)) {
+            try {
+                this.templateCache.set(source, new NoteTemplate(source));
+            } catch (error) {
+                console.error('Error parsing template:', error);
+                this.warnTemplate(`Template error: ${error.message}. Using the default layout.`);
+                this.templateCache.set(source, new NoteTemplate(fallback));
+            }
+        }
+        return this.templateCache.get(source);
+    }
+
+    // Reads the template note at `path`; without one (or when it is missing) the built-in layout is used
+    async loadTemplate(path, fallback) {
+        if (!path) return this.compileTemplate(fallback, fallback);
+        
+        const file = this.app.vault.getAbstractFileByPath(path) || this.app.vault.getAbstractFileByPath(`${path}.md`);
+        if (!(file instanceof TFile)) {
+            this.warnTemplate(`Template ${path} not found. Using the default layout.`);
+            return this.compileTemplate(fallback, fallback);
+        }
+        return this.compileTemplate(await this.app.vault.cachedRead(file), fallback);
+    }
+
+    // Batch runs render many notes; report each template problem once per session
+    warnTemplate(message) {
+        if (this.templateWarnings.has(message)) return;
+        this.templateWarnings.add(message);
+        new Notice(message);
+    }
+
+    async createDefaultTemplates() {
+        try {
+            try {
+                await this.app.vault.createFolder(TEMPLATE_FOLDER);
+            } catch (error) {
+                // Folder exists
+            }
+            
+            const templates = [
+                ['hubTemplatePath', `${TEMPLATE_FOLDER}/Hub template.md`, DEFAULT_HUB_TEMPLATE],
+                ['metadataTemplatePath', `${TEMPLATE_FOLDER}/Metadata template.md`, DEFAULT_METADATA_TEMPLATE]
+            ];
+            for (const [setting, path, source] of templates) {
+                if (!this.app.vault.getAbstractFileByPath(path)) {
+                    await this.app.vault.create(path, source);
+                }
+                if (!this.settings[setting]) this.settings[setting] = path;
+            }
+            await this.saveSettings();
+            new Notice(`Templates are in ${TEMPLATE_FOLDER}; edit them to change new notes`);
+        } catch (error) {
+            console.error('Error creating templates:', error);
+            new Notice(`Error creating templates: ${error.message}`);
+        }
+    }
+
+    async processZoteroFile(file, options = {}) {
+        try {
+            const content = await this.app.vault.read(file);
+            const refresh = !!options.refresh;
+            
+            if (this.isProcessed(content) && !refresh) {
+                if (this.settings.enableNotifications) {
+                    new Notice(`${file.basename} already processed`);
+                }
+                return;
+            }
+            
+            const identifiers = this.extractIdentifiers(content);
+            const title = this.extractTitle(content, file.basename);
+            
+            if (!Object.values(identifiers).some(Boolean) && !title) {
+                new Notice(`No identifier or title found for ${file.basename}`);
+                return this.paperFailure(file, 'No identifier or title found');
+            }
+            
+            if (this.settings.enableNotifications) {
+                new Notice(`${refresh ? 'Refreshing' : 'Processing'} ${file.basename}...`);
+            }
+            
+            const work = await this.findWorkForNote(content, file.basename, { refresh, interactive: !!options.interactive });
+            // Declining in the disambiguation modal is a choice, not a failure
+            if (work === false) return options.interactive ? undefined : this.paperFailure(file, 'Uncertain title match skipped');
+            if (!work) {
+                new Notice(`No OpenAlex data found for ${file.basename}`);
+                return this.paperFailure(file, 'No OpenAlex data found');
+            }
+            
+            // Author notes first, so the metadata and hub can link to them
+            if (this.settings.createAuthorNotes) {
+                await this.ensureAuthorNotes(work, file.basename);
+            }
+            
+            await this.updateFileWithOpenAlexData(file, work, content);
+            
+            // Create hub for current paper and add Hub section to Zotero note
+            const currentHub = await this.ensureHub(work, file.basename);
+            await this.addHubSectionToZoteroNote(file, currentHub);
+            
+            if (refresh) {
+                await this.updateHubMetadata(currentHub, work);
+            }
+            
+            // Background jobs expand references and citations in a separate step
+            let failures = [];
+            if (this.settings.createHubs && !options.deferExpansion) {
+                failures = await this.processReferencesAndCitations(work, file.basename, currentHub, { refresh });
+            }
+            
+            if (this.settings.enableNotifications) {
+                new Notice(`✓ ${refresh ? 'Refreshed' : 'Processed'} ${file.basename}`);
+            }
+            if (!options.deferFailureReport) {
+                this.reportFailures(file.basename, failures);
+            }
+            return { work, hubPath: currentHub, failures };
+            
+        } catch (error) {
+            console.error(`Error processing ${file.path}:`, error);
+            new Notice(`Error processing ${file.basename}: ${error.message}`);
+            return this.paperFailure(file, error.message);
+        }
+    }
+
+    // processZoteroFile's result for a paper that could not be processed at all, so batch runs
+    // can list it with the failed reference and citation lookups
+    paperFailure(file, reason) {
+        return { work: null, hubPath: null, failures: [{ id: file.basename, reason }] };
+    }
+    // Continuing from Part 1...
+    
+    async addHubSectionToZoteroNote(file, hubPath) {
+        try {
+            const content = await this.app.vault.read(file);
+            const hubName = hubPath.split('/').pop().replace('.md', '');
+            
+            const newContent = this.upsertManagedRegion(content, 'hub', `## Hub\n- [[${hubName}]]`, {
+                anchors: ['🗒 Persistent Notes']
+            });
+            
+            if (newContent !== content) {
+                await this.app.vault.modify(file, newContent);
+            }
+        } catch (error) {
+            console.error('Error adding hub section:', error);
+        }
+    }
+
+    // `phantom` hubs stand for works that are only referenced or cited by `paperName`;
+    // otherwise `paperName` is the work itself and an existing phantom hub is promoted
+    async ensureHub(work, paperName, { phantom = false } = {}) {
+        const hubPath = this.hubMap.get(work.id);
+        
+        if (hubPath && this.app.vault.getAbstractFileByPath(hubPath)) {
+            if (!phantom) await this.promoteHub(hubPath, work, paperName);
+            else if (paperName) await this.updateHubConnection(hubPath, paperName);
+            return hubPath;
+        }
+        
+        // Create new hub
+        try {
+            await this.app.vault.createFolder(this.settings.hubFolder);
+        } catch (error) {
+            // Folder exists
+        }
+        
+        // Short filename patterns can give two works the same name; the second gets its ID appended
+        const filename = this.generateHubCiteKey(work);
+        let newHubPath = null;
+        for (const candidate of [filename, `${filename}_${toShortOpenAlexId(work.id)}`]) {
+            const path = `${this.settings.hubFolder}/${candidate}.md`;
+            const existing = this.app.vault.getAbstractFileByPath(path);
+            if (!existing) {
+                newHubPath = path;
+                break;
+            }
+            
+            // Hub was created in an earlier session but is not in the map yet
+            if (this.extractOpenAlexId(await this.app.vault.read(existing)) === toShortOpenAlexId(work.id)) {
+                this.hubMap.set(work.id, path);
+                if (!phantom) await this.promoteHub(path, work, paperName);
+                else if (paperName) await this.updateHubConnection(path, paperName);
+                return path;
+            }
+        }
+        if (!newHubPath) throw new Error(`Hub names for ${work.id} are taken by other works`);
+        
+        const hubContent = await this.createHubContent(work, paperName, { phantom });
+        await this.app.vault.create(newHubPath, hubContent);
+        
+        this.hubMap.set(work.id, newHubPath);
+        if (!phantom) this.paperHubMap.set(paperName, newHubPath);
+        return newHubPath;
+    }
+
+    // Turns a phantom hub into the hub of `paperName`: the paper becomes the Parent Paper, whoever
+    // was parent before moves to Connected Papers, and the full work record fills in the metadata
+    async promoteHub(hubPath, work, paperName) {
+        try {
+            const file = this.app.vault.getAbstractFileByPath(hubPath);
+            let content = this.migrateLegacyRegions(await this.app.vault.read(file), HUB_REGIONS);
+            const status = this.splitFrontmatter(content).frontmatter?.hub_status;
+            const [parent] = this.readRegionLinks(content, 'parent');
+            
+            if (parent === paperName && status === 'paper') return;
+            // A second note for the same work: keep the existing parent
+            if (status === 'paper' && parent && this.app.metadataCache.getFirstLinkpathDest(parent, hubPath)) {
+                await this.updateHubConnection(hubPath, paperName);
+                return;
+            }
+            
+            const connected = this.readRegionLinks(content, 'connected').filter(name => name !== paperName);
+            if (parent && parent !== paperName && !connected.includes(parent)) connected.unshift(parent);
+            
+            content = this.updateFrontmatter(content, {
+                title: work.display_name || work.title || undefined,
+                doi: work.ids?.doi || undefined,
+                publication_year: work.publication_year || undefined,
+                authors: work.authorships?.map(a => a.author.display_name),
+                cited_by_count: work.cited_by_count || 0,
+                ...this.buildWorkFrontmatter(work),
+                hub_status: 'paper'
+            });
+            content = this.upsertManagedRegion(content, 'parent', this.buildLinkSection('parent', [`[[${paperName}]]`]), {
+                anchors: [REGION_START('details')]
+            });
+            content = this.upsertManagedRegion(content, 'connected',
+                this.buildLinkSection('connected', connected.map(name => `[[${name}]]`)),
+                { anchors: [REGION_START('cited'), '## Research Notes'] });
+            content = this.upsertManagedRegion(content, 'details', this.buildHubDetails(work), {
+                anchors: ['## Abstract', '## Key Topics', '## Key Concepts', REGION_START('connected')]
+            });
+            
+            // Phantom hubs are built from trimmed records that may lack the abstract
+            const abstract = this.buildAbstract(work);
+            if (abstract && !content.includes('## Abstract')) {
+                const anchor = ['## Key Topics', '## Key Concepts', REGION_START('connected')].find(text => content.includes(text));
+                const index = anchor ? content.indexOf(anchor) : content.length;
+                content = content.slice(0, index) + `## Abstract\n${abstract}\n\n` + content.slice(index);
+            }
+            
+            await this.app.vault.modify(file, content);
+            this.paperHubMap.set(paperName, hubPath);
+        } catch (error) {
+            console.error(`Error promoting hub ${hubPath}:`, error);
+        }
+    }
+
+    buildAbstract(work) {
+        if (!work.abstract_inverted_index) return '';
+        return Object.entries(work.abstract_inverted_index)
+            .flatMap(([word, positions]) => positions.map(pos => [pos, word]))
+            .sort((a, b) => a[0] - b[0])
+            .map(entry => entry[1])
+            .join(' ');
+    }
+
+    // Hubs whose papers are all gone: `orphans` are linked to no vault paper, listed by no paper
+    // hub and not part of a crawl whose seed hub is still there; `demote` are paper hubs whose own
+    // note was deleted but that others still cite
+    async findOrphanedHubs() {
+        const hubs = [];
+        for (const file of this.app.vault.getMarkdownFiles()) {
+            if (!file.path.startsWith(`${this.settings.hubFolder}/`)) continue;
+            const content = await this.app.vault.read(file);
+            const frontmatter = this.splitFrontmatter(content).frontmatter || {};
+            if (!frontmatter.openalex_id) continue;
+            
+            const exists = name => !!this.app.metadataCache.getFirstLinkpathDest(name, file.path);
+            const [parent] = this.readRegionLinks(content, 'parent');
+            hubs.push({
+                file,
+                openalexId: frontmatter.openalex_id,
+                status: frontmatter.hub_status,
+                parentExists: !!parent && exists(parent),
+                crawlSeed: frontmatter.crawl_seed ? String(frontmatter.crawl_seed) : null,
+                linked: [parent, ...this.readRegionLinks(content, 'connected')].filter(Boolean).some(exists),
+                listed: [...this.readRegionLinks(content, 'cited'), ...this.readRegionLinks(content, 'cited-by')]
+            });
+        }
+        
+        const referenced = new Set(hubs.filter(hub => hub.parentExists).flatMap(hub => hub.listed));
+        // Crawled hubs past the first hop are only listed by other phantom hubs, so they are kept
+        // for as long as the hub the crawl started from (which is its own seed) exists
+        const hubIds = new Set(hubs.map(hub => toShortOpenAlexId(hub.openalexId)));
+        const orphans = hubs.filter(hub => !hub.linked && !referenced.has(hub.file.basename) &&
+            !(hub.crawlSeed && hubIds.has(hub.crawlSeed)));
+        const demote = hubs.filter(hub => hub.status === 'paper' && !hub.parentExists && !orphans.includes(hub));
+        return { orphans, demote };
+    }
+
+    async cleanUpOrphanedHubs() {
+        try {
+            const result = await this.findOrphanedHubs();
+            if (result.orphans.length === 0 && result.demote.length === 0) {
+                new Notice('No orphaned hubs found');
+                return;
+            }
+            new OrphanedHubsModal(this.app, result, () => this.removeOrphanedHubs(result)).open();
+        } catch (error) {
+            console.error('Error finding orphaned hubs:', error);
+            new Notice(`Error finding orphaned hubs: ${error.message}`);
+        }
+    }
+
+    async removeOrphanedHubs({ orphans, demote }) {
+        let removed = 0;
+        for (const hub of orphans) {
+            try {
+                await this.app.fileManager.trashFile(hub.file);
+                this.hubMap.delete(hub.openalexId);
+                for (const [paper, path] of this.paperHubMap) {
+                    if (path === hub.file.path) this.paperHubMap.delete(paper);
+                }
+                removed++;
+            } catch (error) {
+                console.error(`Error removing hub ${hub.file.path}:`, error);
+            }
+        }
+        
+        for (const hub of demote) {
+            try {
+                const content = await this.app.vault.read(hub.file);
+                let newContent = this.updateFrontmatter(content, { hub_status: 'phantom' });
+                newContent = this.upsertManagedRegion(newContent, 'parent', this.buildLinkSection('parent', []));
+                await this.app.vault.modify(hub.file, newContent);
+            } catch (error) {
+                console.error(`Error updating hub ${hub.file.path}:`, error);
+            }
+        }
+        
+        new Notice(`Removed ${removed} orphaned hubs` + (demote.length ? `, marked ${demote.length} as phantom` : ''));
+    }
+
+    async updateHubConnection(hubPath, paperName) {
+        try {
+            const file = this.app.vault.getAbstractFileByPath(hubPath);
+            const content = await this.app.vault.read(file);
+            
+            // Already the parent or one of the connected papers
+            if (this.readRegionLinks(content, 'parent').includes(paperName)) return;
+            const connected = this.readRegionLinks(content, 'connected');
+            if (connected.includes(paperName)) return;
+            
+            const updatedContent = this.upsertManagedRegion(content, 'connected',
+                this.buildLinkSection('connected', [...connected, paperName].map(name => `[[${name}]]`)),
+                { anchors: [REGION_START('cited'), '## Research Notes'] });
+            await this.app.vault.modify(file, updatedContent);
+        } catch (error) {
+            console.error(`Error updating hub connection ${hubPath}:`, error);
+        }
+    }
+
+    // Returns the works that could not be fetched as [{ id, reason }]
+    async processReferencesAndCitations(work, sourcePaper, hubPath, options = {}) {
+        const citedLinks = [];
+        const citedByLinks = [];
+        const failures = [];
+        const authorRelations = new Map(); // author note path -> { region: [paper names] }
+        
+        // Process references (papers this one cites)
+        if (work.referenced_works?.length > 0) {
+            const referencesToProcess = work.referenced_works.slice(0, this.settings.maxReferencesToProcess);
+            const refWorks = await this.fetchOpenAlexWorksByIds(referencesToProcess, failures);
+            
+            for (const refWork of refWorks) {
+                if (!refWork) continue;
+                
+                try {
+                    // Create phantom hub if createPhantomLinks is enabled; link to it by its actual name
+                    if (this.settings.createPhantomLinks) {
+                        await this.ensureHub(refWork, sourcePaper, { phantom: true });
+                    }
+                    citedLinks.push(`[[${this.getHubName(refWork)}]]`);
+                    this.collectAuthorRelations(authorRelations, refWork, 'author-cited-by', sourcePaper);
+                } catch (error) {
+                    console.error(`Error processing reference ${refWork.id}:`, error);
+                }
+            }
+        }
+        
+        // Process cited-by papers
+        if (work.cited_by_count > 0) {
+            try {
+                const citedByWorks = await this.provider.getCitingWorks(work.id, {
+                    ...this.getCitedByQuery(),
+                    refresh: options.refresh
+                });
+                
+                for (const citingWork of citedByWorks) {
+                    // Create phantom hub if createPhantomLinks is enabled; link to it by its actual name
+                    if (this.settings.createPhantomLinks) {
+                        await this.ensureHub(citingWork, sourcePaper, { phantom: true });
+                    }
+                    citedByLinks.push(`[[${this.getHubName(citingWork)}]]`);
+                    this.collectAuthorRelations(authorRelations, citingWork, 'author-cited', sourcePaper);
+                }
+            } catch (error) {
+                console.error('Error processing cited-by papers:', error);
+                failures.push({ id: `cites:${toShortOpenAlexId(work.id)}`, reason: error.message });
+            }
+        }
+        
+        // Update hub with cited and cited-by sections
+        await this.updateHubWithCitations(hubPath, citedLinks, citedByLinks);
+        
+        for (const [authorPath, relations] of authorRelations) {
+            await this.addAuthorRelations(authorPath, relations);
+        }
+        return failures;
+    }
+
+    // Records `paperName` under `region` for every author of `work` that has a note
+    collectAuthorRelations(authorRelations, work, region, paperName) {
+        for (const authorship of work.authorships || []) {
+            const authorPath = authorship.author?.id && this.authorMap.get(toShortOpenAlexId(authorship.author.id));
+            if (!authorPath) continue;
+            
+            const relations = authorRelations.get(authorPath) || {};
+            relations[region] = [...(relations[region] || []), paperName];
+            authorRelations.set(authorPath, relations);
+        }
+    }
+
+    // Creates or updates a note for each author of `work` and lists `paperName` as theirs
+    async ensureAuthorNotes(work, paperName) {
+        const authorships = (work.authorships || []).filter(a => a.author?.id);
+        if (authorships.length === 0) return;
+        
+        try {
+            await this.app.vault.createFolder(this.settings.authorFolder);
+        } catch (error) {
+            // Folder exists
+        }
+        
+        const authors = await this.fetchOpenAlexAuthorsByIds(authorships.map(a => a.author.id));
+        for (let i = 0; i < authorships.length; i++) {
+            try {
+                // Fall back to the basic author record embedded in the work
+                const authorPath = await this.ensureAuthorNote(authors[i] || authorships[i].author);
+                await this.addAuthorRelations(authorPath, { 'author-wrote': [paperName] });
+            } catch (error) {
+                console.error(`Error updating author note for ${authorships[i].author.display_name}:`, error);
+            }
+        }
+    }
+
+    async ensureAuthorNote(author) {
+        const authorId = toShortOpenAlexId(author.id);
+        const existingPath = this.authorMap.get(authorId);
+        const existingFile = existingPath && this.app.vault.getAbstractFileByPath(existingPath);
+        
+        if (existingFile) {
+            let content = await this.app.vault.read(existingFile);
+            content = this.updateFrontmatter(content, this.buildAuthorFrontmatter(author));
+            content = this.upsertManagedRegion(content, 'author-details', this.buildAuthorDetails(author), {
+                anchors: [REGION_START('author-wrote')]
+            });
+            await this.app.vault.modify(existingFile, content);
+            return existingPath;
+        }
+        
+        // Two different authors can share a display name; disambiguate with the OpenAlex ID
+        const baseName = this.sanitizeFilename(author.display_name || authorId);
+        let authorPath = `${this.settings.authorFolder}/${baseName}.md`;
+        const sameNameFile = this.app.vault.getAbstractFileByPath(authorPath);
+        if (sameNameFile) {
+            const sameNameId = this.splitFrontmatter(await this.app.vault.read(sameNameFile)).frontmatter?.openalex_author_id;
+            if (!sameNameId || toShortOpenAlexId(sameNameId) !== authorId) {
+                authorPath = `${this.settings.authorFolder}/${baseName} (${authorId}).md`;
+            }
+        }
+        
+        // Note exists from an earlier session but is not in the map yet
+        if (this.app.vault.getAbstractFileByPath(authorPath)) {
+            this.authorMap.set(authorId, authorPath);
+            return this.ensureAuthorNote(author);
+        }
+        
+        let content = this.buildFrontmatter(this.buildAuthorFrontmatter(author)) + '\n';
+        content += `# ${author.display_name || authorId}\n\n`;
+        content += this.wrapManagedRegion('author-details', this.buildAuthorDetails(author)) + '\n\n';
+        content += this.wrapManagedRegion('author-wrote', this.buildLinkSection('author-wrote', [])) + '\n\n';
+        content += this.wrapManagedRegion('author-cited', this.buildLinkSection('author-cited', [])) + '\n\n';
+        content += this.wrapManagedRegion('author-cited-by', this.buildLinkSection('author-cited-by', [])) + '\n\n';
+        content += `## Notes\n*Add your notes about this author here*\n`;
+        
+        await this.app.vault.create(authorPath, content);
+        this.authorMap.set(authorId, authorPath);
+        return authorPath;
+    }
+
+    buildAuthorFrontmatter(author) {
+        return {
+            name: author.display_name || 'Unknown',
+            openalex_author_id: author.id,
+            orcid: author.orcid || '',
+            institution: this.getAuthorInstitution(author) || '',
+            works_count: author.works_count,
+            h_index: author.summary_stats?.h_index,
+            tags: ['author', 'research']
+        };
+    }
+
+    buildAuthorDetails(author) {
+        let details = `## Author Details\n`;
+        details += `- **ORCID:** ${author.orcid ? `[${author.orcid}](${author.orcid})` : 'N/A'}\n`;
+        details += `- **Last Known Institution:** ${this.getAuthorInstitution(author) || 'Unknown'}\n`;
+        details += `- **Works Count:** ${author.works_count ?? 'Unknown'}\n`;
+        details += `- **h-index:** ${author.summary_stats?.h_index ?? 'Unknown'}\n`;
+        details += `- **OpenAlex ID:** [${author.id}](${author.id})`;
+        return details;
+    }
+
+    getAuthorInstitution(author) {
+        // Older payloads use the singular last_known_institution
+        return author.last_known_institutions?.[0]?.display_name || author.last_known_institution?.display_name || null;
+    }
+
+    // Adds paper links to an author note's relation regions, e.g. { 'author-wrote': ['Paper'] }
+    async addAuthorRelations(authorPath, relations) {
+        try {
+            const file = this.app.vault.getAbstractFileByPath(authorPath);
+            if (!file) return;
+            
+            const content = await this.app.vault.read(file);
+            let newContent = content;
+            for (const [region, paperNames] of Object.entries(relations)) {
+                const existing = this.readRegionLinks(newContent, region);
+                const merged = [...new Set([...existing, ...paperNames])];
+                if (merged.length === existing.length) continue;
+                
+                newContent = this.upsertManagedRegion(newContent, region,
+                    this.buildLinkSection(region, merged.map(name => `[[${name}]]`)),
+                    { anchors: ['## Notes'] });
+            }
+            
+            if (newContent !== content) {
+                await this.app.vault.modify(file, newContent);
+            }
+        } catch (error) {
+            console.error(`Error updating author note ${authorPath}:`, error);
+        }
+    }
+
+    // Author names, linked to their notes where one exists
+    formatAuthors(work) {
+        const names = (work.authorships || []).map(authorship => {
+            const name = authorship.author?.display_name || 'Unknown';
+            const authorPath = authorship.author?.id && this.authorMap.get(toShortOpenAlexId(authorship.author.id));
+            if (!authorPath) return name;
+            return `[[${authorPath.split('/').pop().replace(/\.md$/, '')}|${name}]]`;
+        });
+        return names.join(', ') || 'Unknown';
+    }
+
+    async runScheduledCitationCheck() {
+        const interval = this.settings.citationCheckIntervalDays;
+        if (!interval || Date.now() - this.settings.lastCitationCheck < interval * DAY_MS) return;
+        await this.checkForNewCitations({ scheduled: true });
+    }
+
+    // Looks for works citing each processed paper since its last check, appends them to the
+    // hub's Cited By list and writes a dated digest note
+    async checkForNewCitations({ scheduled = false } = {}) {
+        if (this.checkingCitations) return;
+        this.checkingCitations = true;
+        
+        try {
+            if (!scheduled) new Notice('Checking for new citations...');
+            const today = new Date().toISOString().slice(0, 10);
+            const digest = [];
+            const failures = [];
+            
+            for (const file of this.app.vault.getMarkdownFiles()) {
+                if (!file.path.includes(this.settings.zoteroFolder) || file.path.startsWith(`${this.settings.hubFolder}/`)) continue;
+                const content = await this.app.vault.read(file);
+                const frontmatter = this.splitFrontmatter(content).frontmatter;
+                if (frontmatter?.processed_by_openalex !== true || !frontmatter.openalex_id) continue;
+                
+                const hubPath = await this.findHubPath(file);
+                if (!hubPath) continue;
+                const since = String(frontmatter.openalex_citations_checked || frontmatter.openalex_last_synced || today).slice(0, 10);
+                
+                try {
+                    const { works: newWorks, citedByCount } = await this.findNewCitingWorks(frontmatter, hubPath, since);
+                    if (newWorks.length > 0) {
+                        await this.appendCitingWorks(hubPath, newWorks, file.basename);
+                        digest.push({ paper: file.basename, works: newWorks });
+                    }
+                    await this.app.vault.modify(file, this.updateFrontmatter(await this.app.vault.read(file), {
+                        cited_by_count: citedByCount,
+                        openalex_citations_checked: today
+                    }));
+                } catch (error) {
+                    console.error(`Error checking new citations for ${file.path}:`, error);
+                    failures.push({ id: `cites:${toShortOpenAlexId(frontmatter.openalex_id)}`, reason: error.message });
+                }
+                await this.delay(this.settings.delayBetweenRequests);
+            }
+            
+            this.settings.lastCitationCheck = Date.now();
+            await this.saveSettings();
+            
+            if (digest.length > 0) {
+                const digestPath = await this.writeCitationDigest(today, digest);
+                const total = digest.reduce((sum, entry) => sum + entry.works.length, 0);
+                new Notice(`${total} new citations of ${digest.length} papers. See ${digestPath}`, 10000);
+            } else if (!scheduled) {
+                new Notice('No new citations found');
+            }
+            this.reportFailures('Citation check', failures);
+        } catch (error) {
+            console.error('Error checking for new citations:', error);
+            new Notice(`Error checking for new citations: ${error.message}`);
+        } finally {
+            this.checkingCitations = false;
+        }
+    }
+
+    // Citing works added to OpenAlex since `since` (YYYY-MM-DD) that the hub does not list yet,
+    // plus the paper's current citation count to compare against on the next check
+    async findNewCitingWorks(frontmatter, hubPath, since) {
+        const work = await this.provider.getWork(frontmatter.openalex_id, { refresh: true });
+        const citedByCount = work.cited_by_count || 0;
+        const hubFile = this.app.vault.getAbstractFileByPath(hubPath);
+        const listed = new Set(this.readRegionLinks(await this.app.vault.read(hubFile), 'cited-by'));
+        // Dated one-off queries are not worth caching
+        const options = { sort: 'publication_date', refresh: true, store: false };
+        
+        if (this.settings.apiKey) {
+            const works = await this.provider.getCitingWorks(work.id, {
+                ...options,
+                limit: this.settings.maxCitedByToProcess,
+                createdSince: since
+            });
+            return { works: works.filter(citing => !listed.has(this.getHubName(citing))), citedByCount };
+        }
+        
+        // OpenAlex only accepts from_created_date with an API key. Without one, take the newest
+        // unlisted citing works, as many as cited_by_count has risen since the last check
+        const previous = Number(frontmatter.cited_by_count);
+        const added = Number.isFinite(previous) ? citedByCount - previous : 0;
+        if (added <= 0) return { works: [], citedByCount };
+        
+        const works = await this.provider.getCitingWorks(work.id, {
+            ...options,
+            limit: Math.min(added, this.settings.maxCitedByToProcess) + NEW_CITATION_HEADROOM
+        });
+        return {
+            works: works.filter(citing => !listed.has(this.getHubName(citing))).slice(0, added),
+            citedByCount
+        };
+    }
+
+    async appendCitingWorks(hubPath, works, paperName) {
+        // Hubs first, so the links use the names they were actually created under
+        if (this.settings.createPhantomLinks) {
+            for (const work of works) {
+                await this.ensureHub(work, paperName, { phantom: true });
+            }
+        }
+        await this.addHubLinks(hubPath, 'cited-by', works.map(work => this.getHubName(work)));
+    }
+
+    // Adds hub names to the hub's cited or cited-by list after the ones already there
+    async addHubLinks(hubPath, region, names) {
+        const file = this.app.vault.getAbstractFileByPath(hubPath);
+        const content = this.migrateLegacyRegions(await this.app.vault.read(file), HUB_REGIONS);
+        const existing = this.readRegionLinks(content, region);
+        const added = [...new Set(names)].filter(name => !existing.includes(name));
+        if (added.length === 0) return;
+        
+        await this.app.vault.modify(file, this.upsertManagedRegion(content, region,
+            this.buildLinkSection(region, [...existing, ...added].map(name => `[[${name}]]`)),
+            { anchors: ['## Research Notes'] }));
+    }
+
+    // Adds to the day's digest when one was already written today
+    async writeCitationDigest(date, digest) {
+        const path = `${this.settings.alertFolder}/New citations ${date}.md`;
+        let sections = '';
+        for (const { paper, works } of digest) {
+            sections += `## [[${paper}]]\n`;
+            for (const work of works) {
+                const details = [work.publication_year, this.getVenueName(work)].filter(Boolean).join(', ');
+                sections += `- [[${this.getHubName(work)}]] ${work.display_name || work.title || ''}${details ? ` (${details})` : ''}\n`;
+            }
+            sections += '\n';
+        }
+        sections = sections.trimEnd() + '\n';
+        
+        const existing = this.app.vault.getAbstractFileByPath(path);
+        if (existing) {
+            const content = await this.app.vault.read(existing);
+            await this.app.vault.modify(existing, content.replace(/\n*$/, '\n\n') + sections);
+        } else {
+            const frontmatter = this.buildFrontmatter({ type: 'openalex-citation-digest', date });
+            await this.writeVaultFile(path, `${frontmatter}# New citations ${date}\n\n${sections}`);
+        }
+        return path;
+    }
+
+    // Renders an ```openalex``` block. Options, one `key: value` per line:
+    // view (a BLOCK_VIEWS key), paper ([[note]], DOI or OpenAlex ID; defaults to the current note),
+    // author (OpenAlex author ID for author-works; defaults to the first author), limit, refresh
+    async renderOpenAlexBlock(source, el, ctx) {
+        const options = this.parseBlockOptions(source);
+        const view = options.view || 'references';
+        const limit = Math.min(parseInt(options.limit, 10) || 20, OPENALEX_MAX_PER_PAGE);
+        const refresh = options.refresh === 'true';
+        const loading = el.createEl('p', { text: 'Loading OpenAlex data...' });
+        
+        try {
+            if (!BLOCK_VIEWS[view]) throw new Error(`Unknown view "${view}". Use ${Object.keys(BLOCK_VIEWS).join(', ')}`);
+            const work = await this.resolveBlockWork(options.paper, ctx.sourcePath, refresh);
+            if (!work) throw new Error('No OpenAlex work found. Set `paper:` or process this note first.');
+            const title = work.display_name || work.title || work.id;
+            
+            if (view === 'references') {
+                const works = (await this.fetchOpenAlexWorksByIds((work.referenced_works || []).slice(0, limit))).filter(Boolean);
+                this.renderWorksTable(el, `${BLOCK_VIEWS[view]} of ${title}`, works);
+            } else if (view === 'citing') {
+                const works = await this.provider.getCitingWorks(work.id, { limit, sort: 'cited_by_count', refresh });
+                this.renderWorksTable(el, `${BLOCK_VIEWS[view]} of ${title}`, works);
+            } else if (view === 'author-works') {
+                const authorOption = options.author && toShortOpenAlexId(options.author);
+                const authorship = authorOption
+                    ? work.authorships?.find(entry => toShortOpenAlexId(entry.author?.id || '') === authorOption)
+                    : work.authorships?.[0];
+                const authorId = authorOption || authorship?.author?.id;
+                if (!authorId) throw new Error('This work has no authors');
+                const works = await this.provider.getWorksByAuthor(authorId, { limit, refresh });
+                this.renderWorksTable(el, `${BLOCK_VIEWS[view]} ${authorship?.author?.display_name || toShortOpenAlexId(authorId)}`,
+                    works.filter(other => other.id !== work.id));
+            } else {
+                this.renderCitationsPerYear(el, `${BLOCK_VIEWS[view]}: ${title}`, work.counts_by_year || []);
+            }
+        } catch (error) {
+            console.error('Error rendering openalex block:', error);
+            el.createEl('p', { text: `OpenAlex: ${error.message}`, cls: 'mod-warning' });
+        } finally {
+            loading.remove();
+        }
+    }
+
+    parseBlockOptions(source) {
+        const options = {};
+        for (const line of source.split(/\r?\n/)) {
+            const match = line.match(/^\s*([\w-]+)\s*:\s*(.*?)\s*$/);
+            if (match) options[match[1].toLowerCase()] = match[2].replace(/^["']|["']$/g, '');
+        }
+        return options;
+    }
+
+    async resolveBlockWork(target, sourcePath, refresh) {
+        const value = (target || '').trim();
+        const doi = this.normalizeDoi(value);
+        const openalexId = value.match(/^(?:https?:\/\/openalex\.org\/)?(W\d+)$/i)?.[1];
+        if (openalexId) return this.fetchOpenAlexWorkById(openalexId.toUpperCase(), { refresh });
+        if (doi && !value.startsWith('[[')) return this.fetchOpenAlexData(doi, { refresh });
+        
+        // A [[note]] link, or the note holding the block
+        const linkpath = value.replace(/^\[\[|\]\]$/g, '').split('|')[0].trim();
+        const file = linkpath
+            ? this.app.metadataCache.getFirstLinkpathDest(linkpath, sourcePath)
+            : this.app.vault.getAbstractFileByPath(sourcePath);
+        if (!file) throw new Error(`Note "${linkpath || sourcePath}" not found`);
+        
+        const content = await this.app.vault.read(file);
+        const noteId = this.extractOpenAlexId(content);
+        if (noteId) return this.fetchOpenAlexWorkById(noteId, { refresh });
+        const noteDoi = this.extractDOI(content);
+        return noteDoi ? this.fetchOpenAlexData(noteDoi, { refresh }) : null;
+    }
+
+    renderWorksTable(el, caption, works) {
+        el.createEl('h4', { text: `${caption} (${works.length})` });
+        if (works.length === 0) {
+            el.createEl('p', { text: 'Nothing to show' });
+            return;
+        }
+        
+        const table = el.createEl('table');
+        const header = table.createEl('thead').createEl('tr');
+        ['Title', 'Authors', 'Year', 'Venue', 'Citations'].forEach(text => header.createEl('th', { text }));
+        const body = table.createEl('tbody');
+        
+        for (const work of works) {
+            const row = body.createEl('tr');
+            const titleCell = row.createEl('td');
+            const title = work.display_name || work.title || work.id;
+            // Link to the hub when the work has one, otherwise to OpenAlex
+            const hubPath = this.hubMap.get(work.id);
+            if (hubPath) {
+                const hubName = hubPath.split('/').pop().replace(/\.md$/, '');
+                titleCell.createEl('a', { text: title, cls: 'internal-link', href: hubName, attr: { 'data-href': hubName } });
+            } else {
+                titleCell.createEl('a', { text: title, cls: 'external-link', href: work.doi || work.id });
+            }
+            
+            const authors = (work.authorships || []).map(authorship => authorship.author?.display_name).filter(Boolean);
+            row.createEl('td', { text: authors.length > 3 ? `${authors.slice(0, 3).join(', ')} et al.` : authors.join(', ') });
+            row.createEl('td', { text: String(work.publication_year || '') });
+            row.createEl('td', { text: this.getVenueName(work) || '' });
+            row.createEl('td', { text: String(work.cited_by_count || 0) });
+        }
+    }
+
+    renderCitationsPerYear(el, caption, countsByYear) {
+        el.createEl('h4', { text: caption });
+        if (countsByYear.length === 0) {
+            el.createEl('p', { text: 'No yearly citation counts available' });
+            return;
+        }
+        
+        const counts = [...countsByYear].sort((a, b) => a.year - b.year);
+        const max = Math.max(...counts.map(entry => entry.cited_by_count), 1);
+        const table = el.createEl('table');
+        for (const { year, cited_by_count: count } of counts) {
+            const row = table.createEl('tr');
+            row.createEl('td', { text: String(year) });
+            const bar = row.createEl('td').createDiv();
+            bar.style.width = `${Math.max(2, Math.round(count / max * 100))}%`;
+            bar.style.height = '0.8em';
+            bar.style.backgroundColor = 'var(--interactive-accent)';
+            row.createEl('td', { text: String(count) });
+        }
+    }
+
+    getCitedByQuery() {
+        let sort = this.settings.citedBySort;
+        // OpenAlex ranks by relevance only against keywords; without any, keep the most cited
+        if (sort === 'relevance' && !this.settings.citedBySearch.trim()) {
+            sort = 'cited_by_count';
+            if (!this.warnedRelevanceSort) {
+                this.warnedRelevanceSort = true;
+                new Notice(RELEVANCE_WITHOUT_KEYWORDS_NOTICE);
+            }
+        }
+        
+        return {
+            limit: this.settings.maxCitedByToProcess,
+            sort,
+            search: this.settings.citedBySearch,
+            fromYear: this.settings.citedByFromYear,
+            toYear: this.settings.citedByToYear
+        };
+    }
+
+    reportFailures(label, failures) {
+        if (!failures.length) return;
+        
+        console.warn(`${label}: ${failures.length} OpenAlex lookups failed`, failures);
+        const preview = failures.slice(0, 5).map(failure => failure.id).join(', ');
+        const more = failures.length > 5 ? ` and ${failures.length - 5} more` : '';
+        new Notice(`⚠ ${label}: ${failures.length} OpenAlex lookups failed (${preview}${more}). See console for details.`, 10000);
+    }
+
+    async updateHubWithCitations(hubPath, citedLinks, citedByLinks) {
+        try {
+            const file = this.app.vault.getAbstractFileByPath(hubPath);
+            let content = this.migrateLegacyRegions(await this.app.vault.read(file), HUB_REGIONS);
+            
+            if (citedLinks.length > 0) {
+                content = this.upsertManagedRegion(content, 'cited', this.buildLinkSection('cited', citedLinks), {
+                    anchors: ['## Research Notes']
+                });
+            }
+            
+            if (citedByLinks.length > 0) {
+                content = this.upsertManagedRegion(content, 'cited-by', this.buildLinkSection('cited-by', citedByLinks), {
+                    anchors: ['## Research Notes']
+                });
+            }
+            
+            await this.app.vault.modify(file, content);
+        } catch (error) {
+            console.error('Error updating hub with citations:', error);
+        }
+    }
+
+    buildLinkSection(region, links) {
+        const [heading, description] = LINK_SECTIONS[region];
+        const lines = [heading];
+        if (description) lines.push(description);
+        links.forEach(link => lines.push(`- ${link}`));
+        return lines.join('\n');
+    }
+
+    buildHubDetails(work) {
+        let details = `## Paper Details\n`;
+        details += `- **Authors:** ${this.formatAuthors(work)}\n`;
+        details += `- **Year:** ${work.publication_year || 'Unknown'}\n`;
+        details += `- **Journal:** ${this.getVenueName(work) || 'Unknown'}\n`;
+        details += `- **Type:** ${work.type || 'Unknown'}\n`;
+        details += `- **Open Access:** ${this.formatOpenAccess(work)}\n`;
+        details += `- **DOI:** ${work.ids?.doi || 'N/A'}\n`;
+        details += `- **Citation Count:** ${work.cited_by_count || 0}\n`;
+        details += `- **OpenAlex ID:** [${work.id}](${work.id})`;
+        return details;
+    }
+
+    // host_venue was removed from the API; keep reading it for older cached payloads
+    getVenueName(work) {
+        return work.primary_location?.source?.display_name || work.host_venue?.display_name || null;
+    }
+
+    // Topics as [{ name, score, domain, field, subfield }], falling back to legacy concepts
+    getTopics(work) {
+        const topics = work.topics?.length > 0 ? work.topics : (work.primary_topic ? [work.primary_topic] : []);
+        if (topics.length > 0) {
+            return topics.map(topic => ({
+                name: topic.display_name,
+                score: topic.score,
+                domain: topic.domain?.display_name || null,
+                field: topic.field?.display_name || null,
+                subfield: topic.subfield?.display_name || null
+            }));
+        }
+        return (work.concepts || []).map(concept => ({
+            name: concept.display_name,
+            score: concept.score,
+            domain: null,
+            field: null,
+            subfield: null
+        }));
+    }
+
+    formatTopic(topic) {
+        const score = typeof topic.score === 'number' ? ` (${Math.round(topic.score * 100)}%)` : '';
+        const path = [topic.field, topic.subfield].filter(Boolean).join(' › ');
+        return `${topic.name}${score}${path ? ` — ${path}` : ''}`;
+    }
+
+    getOpenAccessUrl(work) {
+        return work.best_oa_location?.pdf_url || work.open_access?.oa_url || null;
+    }
+
+    formatOpenAccess(work) {
+        const status = work.open_access?.oa_status;
+        if (!status) return 'Unknown';
+        const url = this.getOpenAccessUrl(work);
+        return url ? `${status} ([PDF](${url}))` : status;
+    }
+
+    // Frontmatter fields shared by hubs and paper notes
+    buildWorkFrontmatter(work) {
+        const topics = this.getTopics(work);
+        const primary = work.primary_topic ? this.getTopics({ topics: [work.primary_topic] })[0] : null;
+        return {
+            journal: this.getVenueName(work) || 'Unknown',
+            type: work.type,
+            language: work.language,
+            open_access: work.open_access?.oa_status,
+            oa_url: this.getOpenAccessUrl(work) || undefined,
+            primary_topic: primary?.name,
+            domain: primary?.domain || undefined,
+            field: primary?.field || undefined,
+            subfield: primary?.subfield || undefined,
+            // Payloads without topics only carry the deprecated concepts
+            [work.topics?.length > 0 || primary ? 'topics' : 'concepts']: topics.slice(0, 5).map(topic => topic.name)
+        };
+    }
+
+    // Renders the hub template; keys in the template's frontmatter are added to the plugin's own
+    async createHubContent(work, connectedPaper, { phantom = false } = {}) {
+        // A phantom hub's paper is not in the vault; the paper that led to it is a connected paper
+        const parentLinks = phantom ? [] : [`[[${connectedPaper}]]`];
+        const connectedLinks = phantom && connectedPaper ? [`[[${connectedPaper}]]`] : [];
+        const template = await this.loadTemplate(this.settings.hubTemplatePath, DEFAULT_HUB_TEMPLATE);
+        const { frontmatter, body } = this.splitFrontmatter(template.render({
+            ...this.buildTemplateContext(work),
+            hub_status: phantom ? 'phantom' : 'paper',
+            phantom,
+            connected_paper: connectedPaper,
+            regions: {
+                parent: this.wrapManagedRegion('parent', this.buildLinkSection('parent', parentLinks)),
+                details: this.wrapManagedRegion('details', this.buildHubDetails(work)),
+                connected: this.wrapManagedRegion('connected', this.buildLinkSection('connected', connectedLinks)),
+                cited: this.wrapManagedRegion('cited', this.buildLinkSection('cited', [])),
+                'cited-by': this.wrapManagedRegion('cited-by', this.buildLinkSection('cited-by', []))
+            }
+        }));
+        
+        return this.buildFrontmatter({
+            title: work.display_name || work.title || 'Unknown',
+            doi: work.ids?.doi || '',
+            publication_year: work.publication_year || 'Unknown',
+            authors: work.authorships?.map(a => a.author.display_name) || [],
+            openalex_id: work.id,
+            cited_by_count: work.cited_by_count || 0,
+            ...this.withoutUndefined(this.buildWorkFrontmatter(work)),
+            is_hub: true,
+            hub_status: phantom ? 'phantom' : 'paper',
+            ...frontmatter,
+            // The plugin finds and updates hubs through these, so templates cannot override them
+            openalex_id: work.id,
+            is_hub: true,
+            hub_status: phantom ? 'phantom' : 'paper'
+        }) + body;
+    }
+    
+    // Resolves the note's work from its identifiers (OpenAlex ID, DOI, PMID, PMCID, arXiv), falling
+    // back to a verified title search. Returns the work, null when nothing matched, or false when an
+    // uncertain match was skipped (background runs) or declined in the disambiguation modal.
+    async findWorkForNote(content, fallbackTitle, { refresh = false, interactive = false } = {}) {
+        const ids = this.extractIdentifiers(content);
+        // Notes already linked to a work (refreshes, imported search results) are fetched by ID
+        if (ids.openalex) return this.fetchOpenAlexWorkById(ids.openalex, { refresh });
+        
+        const lookups = [
+            ids.doi && (() => this.fetchOpenAlexData(ids.doi, { refresh })),
+            ids.pmid && (() => this.fetchOpenAlexWorkByExternalId('pmid', ids.pmid, { refresh })),
+            ids.pmcid && (() => this.fetchOpenAlexWorkByExternalId('pmcid', ids.pmcid, { refresh })),
+            // arXiv registers a DataCite DOI for every preprint
+            ids.arxiv && (() => this.fetchOpenAlexData(`10.48550/arXiv.${ids.arxiv}`, { refresh }))
+        ].filter(Boolean);
+        for (const lookup of lookups) {
+            const work = await lookup();
+            if (work) return work;
+        }
+        
+        const title = this.extractTitle(content, fallbackTitle);
+        return title ? this.findWorkByTitle(title, this.extractNoteMetadata(content), fallbackTitle, { refresh, interactive }) : null;
+    }
+
+    async findWorkByTitle(title, metadata, noteName, { refresh = false, interactive = false } = {}) {
+        const results = await this.provider.searchWorks(title, { refresh, perPage: 5 });
+        if (results.length === 0) return null;
+        
+        const candidates = results
+            .map(work => ({ work, score: this.scoreTitleMatch(work, title, metadata) }))
+            .sort((a, b) => b.score - a.score);
+        if (candidates[0].score * 100 >= this.settings.matchConfidenceThreshold) return candidates[0].work;
+        
+        if (!interactive) {
+            console.warn(`No confident OpenAlex match for ${noteName}`,
+                candidates.map(({ work, score }) => ({ id: work.id, title: work.display_name, score })));
+            new Notice(`Skipped ${noteName}: best title match is only ${Math.round(candidates[0].score * 100)}% certain. ` +
+                'Run "Process current file" on it to choose the right paper.', 10000);
+            return false;
+        }
+        return new Promise(resolve => new DisambiguationModal(this.app, this, noteName, candidates, resolve).open());
+    }
+
+    // 0..1 from normalised title similarity, plus year and first-author agreement when the note has them
+    scoreTitleMatch(work, title, { year, firstAuthor } = {}) {
+        const parts = [[this.titleSimilarity(title, work.display_name || work.title || ''), 0.7]];
+        if (year && work.publication_year) {
+            const difference = Math.abs(year - work.publication_year);
+            parts.push([difference === 0 ? 1 : (difference === 1 ? 0.5 : 0), 0.15]);
+        }
+        const workAuthor = work.authorships?.[0]?.author?.display_name;
+        if (firstAuthor && workAuthor) {
+            const author = this.normalizeTitle(workAuthor);
+            const family = this.normalizeTitle(firstAuthor);
+            const matches = ` ${author}`.endsWith(` ${family}`) || author.split(' ').includes(family);
+            parts.push([matches ? 1 : 0, 0.15]);
+        }
+        
+        const weight = parts.reduce((sum, [, partWeight]) => sum + partWeight, 0);
+        return parts.reduce((sum, [score, partWeight]) => sum + score * partWeight, 0) / weight;
+    }
+
+    normalizeTitle(text) {
+        return String(text)
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/<[^>]+>/g, ' ')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+
+    // Dice coefficient over character bigrams of the normalised titles
+    titleSimilarity(a, b) {
+        const bigrams = text => {
+            const normalized = this.normalizeTitle(text);
+            const counts = new Map();
+            for (let i = 0; i < normalized.length - 1; i++) {
+                const bigram = normalized.slice(i, i + 2);
+                counts.set(bigram, (counts.get(bigram) || 0) + 1);
+            }
+            return counts;
+        };
+        const first = bigrams(a);
+        const second = bigrams(b);
+        const size = counts => [...counts.values()].reduce((sum, count) => sum + count, 0);
+        const total = size(first) + size(second);
+        if (total === 0) return 0;
+        
+        let shared = 0;
+        for (const [bigram, count] of first) shared += Math.min(count, second.get(bigram) || 0);
+        return 2 * shared / total;
+    }
+
+    // Year and first author's family name from the note's frontmatter, when present
+    extractNoteMetadata(content) {
+        const frontmatter = this.splitFrontmatter(content).frontmatter || {};
+        const yearValue = frontmatter.year || frontmatter.publication_year || frontmatter.date;
+        const year = parseInt(String(yearValue || '').match(/\d{4}/)?.[0], 10) || null;
+        
+        const authors = frontmatter.authors || frontmatter.author;
+        const first = Array.isArray(authors) ? authors[0] : String(authors || '').split(/;| and /)[0];
+        const name = String(first || '').replace(/\[\[|\]\]/g, '').trim();
+        // "Smith, Jane" or "Jane Smith"
+        const firstAuthor = name.includes(',') ? name.split(',')[0].trim() : name.split(/\s+/).pop();
+        return { year, firstAuthor: firstAuthor || null };
+    }
+
+    // `options.refresh` bypasses fresh cache entries
+    async fetchOpenAlexData(doi, options = {}) {
+        try {
+            return await this.provider.getWorkByDoi(doi, options);
+        } catch (error) {
+            // A missing work is "no data"; anything else is surfaced to the caller
+            if (error.status === 404) return null;
+            throw error;
+        }
+    }
+
+    async fetchOpenAlexWorkByExternalId(kind, value, options = {}) {
+        try {
+            return await this.provider.getWorkByExternalId(kind, value, options);
+        } catch (error) {
+            if (error.status === 404) return null;
+            throw error;
+        }
+    }
+
+    async fetchOpenAlexWorkById(id, options = {}) {
+        try {
+            return await this.provider.getWork(id, options);
+        } catch (error) {
+            if (error.status === 404) return null;
+            throw error;
+        }
+    }
+
+    // Resolves works in batches via the openalex_id filter; result order matches `ids`.
+    // IDs that could not be resolved are appended to `failures` as { id, reason }.
+    async fetchOpenAlexWorksByIds(ids, failures = []) {
+        const shortIds = ids.map(id => toShortOpenAlexId(id));
+        const worksById = new Map();
+        
+        for (let i = 0; i < shortIds.length; i += OPENALEX_BATCH_SIZE) {
+            const batch = shortIds.slice(i, i + OPENALEX_BATCH_SIZE);
+            try {
+                const { works, fromNetwork } = await this.provider.getWorksByIds(batch, { select: REFERENCE_SELECT_FIELDS });
+                for (const result of works) {
+                    worksById.set(toShortOpenAlexId(result.id), result);
+                }
+                const reason = this.provider.isOffline() ? 'Offline: not in cache' : 'Not found in OpenAlex';
+                batch.filter(id => !worksById.has(id))
+                    .forEach(id => failures.push({ id, reason }));
+                
+                if (fromNetwork && i + OPENALEX_BATCH_SIZE < shortIds.length) {
+                    await this.delay(this.settings.delayBetweenRequests);
+                }
+            } catch (error) {
+                console.error(`Error fetching batch of ${batch.length} works:`, error);
+                batch.forEach(id => failures.push({ id, reason: error.message }));
+            }
+        }
+        
+        return shortIds.map(id => worksById.get(id) || null);
+    }
+
+    // Same batching as fetchOpenAlexWorksByIds, for author records; unresolved IDs are null
+    async fetchOpenAlexAuthorsByIds(ids) {
+        const shortIds = ids.map(id => toShortOpenAlexId(id));
+        const authorsById = new Map();
+        
+        for (let i = 0; i < shortIds.length; i += OPENALEX_BATCH_SIZE) {
+            const batch = shortIds.slice(i, i + OPENALEX_BATCH_SIZE);
+            try {
+                for (const author of await this.provider.getAuthorsByIds(batch)) {
+                    authorsById.set(toShortOpenAlexId(author.id), author);
+                }
+            } catch (error) {
+                console.error(`Error fetching batch of ${batch.length} authors:`, error);
+            }
+        }
+        
+        return shortIds.map(id => authorsById.get(id) || null);
+    }
+
+    async updateFileWithOpenAlexData(file, work, originalContent) {
+        let newContent = this.updateFrontmatter(originalContent, {
+            publication_year: work.publication_year,
+            openalex_id: work.id,
+            cited_by_count: work.cited_by_count,
+            ...this.buildWorkFrontmatter(work),
+            processed_by_openalex: true,
+            openalex_last_synced: new Date().toISOString()
+        });
+        
+        const metadataSection = await this.buildMetadataSection(work);
+        
+        // Place metadata right before the persistent notes heading (or at the end)
+        newContent = this.migrateLegacyRegions(newContent, PAPER_REGIONS);
+        newContent = this.upsertManagedRegion(newContent, 'metadata', metadataSection, {
+            anchors: ['🗒 Persistent Notes']
+        });
+        
+        await this.app.vault.modify(file, newContent);
+    }
+
+    // Keeps the hub's frontmatter in step with a refreshed work
+    async updateHubMetadata(hubPath, work) {
+        try {
+            const file = this.app.vault.getAbstractFileByPath(hubPath);
+            const content = await this.app.vault.read(file);
+            let newContent = this.updateFrontmatter(content, {
+                cited_by_count: work.cited_by_count || 0,
+                ...this.buildWorkFrontmatter(work),
+                openalex_last_synced: new Date().toISOString()
+            });
+            newContent = this.upsertManagedRegion(newContent, 'details', this.buildHubDetails(work), {
+                anchors: ['## Abstract', '## Key Topics', '## Key Concepts', REGION_START('connected')]
+            });
+            await this.app.vault.modify(file, newContent);
+        } catch (error) {
+            console.error(`Error updating hub metadata ${hubPath}:`, error);
+        }
+    }
+
+    async buildMetadataSection(work) {
+        const template = await this.loadTemplate(this.settings.metadataTemplatePath, DEFAULT_METADATA_TEMPLATE);
+        return template.render({
+            ...this.buildTemplateContext(work),
+            show_authors: this.settings.createAuthorNotes
+        });
+    }
+
+    wrapManagedRegion(name, inner) {
+        return `${REGION_START(name)}\n${inner.trim()}\n${REGION_END(name)}`;
+    }
+
+    // Returns { start, end, inner } of the named region, or null
+    findManagedRegion(content, name) {
+        const startMarker = REGION_START(name);
+        const endMarker = REGION_END(name);
+        const start = content.indexOf(startMarker);
+        if (start === -1) return null;
+        
+        const endIndex = content.indexOf(endMarker, start);
+        if (endIndex === -1) return null;
+        return {
+            start,
+            end: endIndex + endMarker.length,
+            inner: content.slice(start + startMarker.length, endIndex).trim()
+        };
+    }
+
+    // Finds a pre-marker section: its heading up to the next `## ` heading, `---`, region or persistent notes
+    findLegacySection(content, name) {
+        const pattern = LEGACY_SECTION_PATTERNS[name];
+        if (!pattern) return null;
+        
+        const regex = new RegExp(`(^|\\n)(?:${pattern})[ \\t]*(?=\\n|$)(?:\\n[\\s\\S]*?)?(?=\\n## |\\n---|\\n<!-- openalex:|\\n[^\\n]*🗒 Persistent Notes|$)`);
+        const match = regex.exec(content);
+        if (!match) return null;
+        
+        // Leave trailing blank lines in place so spacing around the section is kept
+        const start = match.index + match[1].length;
+        const section = content.slice(start, match.index + match[0].length).trimEnd();
+        return { start, end: start + section.length, inner: section.trim() };
+    }
+
+    // Replaces the named region (migrating a legacy section if found); otherwise inserts it
+    // before the line holding the first matching anchor, or appends it to the note.
+    upsertManagedRegion(content, name, inner, { anchors = [] } = {}) {
+        const block = this.wrapManagedRegion(name, inner);
+        const existing = this.findManagedRegion(content, name) || this.findLegacySection(content, name);
+        if (existing) {
+            return content.slice(0, existing.start) + block + content.slice(existing.end);
+        }
+        
+        for (const anchor of anchors) {
+            const index = content.indexOf(anchor);
+            if (index !== -1) {
+                const lineStart = content.lastIndexOf('\n', index) + 1;
+                return content.slice(0, lineStart) + block + '\n\n' + content.slice(lineStart);
+            }
+        }
+        return content.replace(/\n*$/, '\n\n') + block + '\n';
+    }
+
+    // Wraps old-format sections in region markers as they are, so later updates find them
+    migrateLegacyRegions(content, names) {
+        let migrated = content;
+        for (const name of names) {
+            if (this.findManagedRegion(migrated, name)) continue;
+            const legacy = this.findLegacySection(migrated, name);
+            if (legacy) {
+                migrated = migrated.slice(0, legacy.start) + this.wrapManagedRegion(name, legacy.inner) + migrated.slice(legacy.end);
+            }
+        }
+        return migrated;
+    }
+
+    readRegionLinks(content, name) {
+        const region = this.findManagedRegion(content, name) || this.findLegacySection(content, name);
+        return region ? this.extractWikiLinks(region.inner) : [];
+    }
+
+    extractWikiLinks(text) {
+        return [...text.matchAll(/\[\[([^\]|#]+)(?:[#|][^\]]*)?\]\]/g)].map(match => match[1].trim());
+    }
+
+    withoutUndefined(data) {
+        return Object.fromEntries(Object.entries(data).filter(([, value]) => value !== undefined));
+    }
+
+    // Merges `updates` into the note's YAML frontmatter, keeping keys the user added.
+    // Undefined values are skipped so missing OpenAlex fields never erase existing data.
+    updateFrontmatter(content, updates) {
+        const entries = Object.entries(updates).filter(([, value]) => value !== undefined);
+        const match = content.match(/^---\r?\n(?:([\s\S]*?)\r?\n)?---(?:\r?\n|$)/);
+        if (match && !this.isValidYaml(match[1] || '')) {
+            const yaml = this.patchFrontmatterLines(match[1] || '', entries);
+            return `---\n${yaml}\n---\n` + content.slice(match[0].length);
+        }
+        
+        const { frontmatter, body } = this.splitFrontmatter(content);
+        const merged = Object.assign({}, frontmatter);
+        entries.forEach(([key, value]) => merged[key] = value);
+        return this.buildFrontmatter(merged) + body;
+    }
+
+    isValidYaml(yaml) {
+        try {
+            parseYaml(yaml);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Frontmatter that is not valid YAML can only be read partly (see parseLegacyFrontmatter), so
+    // re-serialising it would drop what could not be read; replace just the lines of the given keys
+    patchFrontmatterLines(yaml, entries) {
+        const lines = yaml ? yaml.split(/\r?\n/) : [];
+        for (const [key, value] of entries) {
+            const replacement = stringifyYaml({ [key]: value }).trimEnd().split('\n');
+            const start = lines.findIndex(line => line.startsWith(`${key}:`));
+            if (start === -1) {
+                lines.push(...replacement);
+                continue;
+            }
+            // Block lists and nested values continue on indented or `- ` lines
+            let end = start + 1;
+            while (end < lines.length && /^(\s|-(\s|$))/.test(lines[end])) end++;
+            lines.splice(start, end - start, ...replacement);
+        }
+        return lines.join('\n');
+    }
+
+    buildFrontmatter(data) {
+        return `---\n${stringifyYaml(data)}---\n`;
+    }
+
+    // Returns { frontmatter, body }; frontmatter is null when the note has none
+    splitFrontmatter(content) {
+        const match = content.match(/^---\r?\n(?:([\s\S]*?)\r?\n)?---(?:\r?\n|$)/);
+        if (!match) return { frontmatter: null, body: content };
+        return { frontmatter: this.parseFrontmatterYaml(match[1] || ''), body: content.slice(match[0].length) };
+    }
+
+    parseFrontmatterYaml(yaml) {
+        try {
+            const parsed = parseYaml(yaml);
+            return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+        } catch (error) {
+            // Notes written by earlier versions may hold unescaped quotes; read those line by line
+            return this.parseLegacyFrontmatter(yaml);
+        }
+    }
+
+    parseLegacyFrontmatter(yaml) {
+        const unquote = value => value.replace(/^"([\s\S]*)"$/, '$1').replace(/^'([\s\S]*)'$/, '$1');
+        const result = {};
+        
+        for (const line of yaml.split(/\r?\n/)) {
+            const match = line.match(/^([\w-]+):\s*(.*)$/);
+            if (!match) continue;
+            
+            const raw = match[2].trim();
+            let value;
+            if (/^\[.*\]$/.test(raw)) {
+                value = raw.slice(1, -1).split(',').map(item => unquote(item.trim())).filter(Boolean);
+            } else if (raw === 'true' || raw === 'false') {
+                value = raw === 'true';
+            } else if (/^-?\d+(\.\d+)?$/.test(raw)) {
+                value = Number(raw);
+            } else {
+                value = unquote(raw);
+            }
+            result[match[1]] = value;
+        }
+        return result;
+    }
+
+    isProcessed(content) {
+        return this.splitFrontmatter(content).frontmatter?.processed_by_openalex === true;
+    }
+
+    extractDOI(content) {
+        const doiRegex = /(?:doi:\s*["']?|https?:\/\/(?:dx\.)?doi\.org\/)(10\.\d{4,}\/[^\s"'\]]+)/i;
+        const match = content.match(doiRegex);
+        return match ? match[1] : null;
+    }
+
+    // Every identifier OpenAlex can resolve; missing ones are null
+    extractIdentifiers(content) {
+        const match = regex => content.match(regex)?.[1] || null;
+        return {
+            openalex: match(/^(?:openalex_id|openalex):\s*["']?(?:https?:\/\/openalex\.org\/)?(W\d+)/im),
+            doi: this.extractDOI(content),
+            pmid: match(/(?:\bpmid:\s*["']?|pubmed\.ncbi\.nlm\.nih\.gov\/)(\d{1,9})\b/i),
+            pmcid: match(/(?:\bpmcid:\s*["']?|ncbi\.nlm\.nih\.gov\/pmc\/articles\/|pmc\.ncbi\.nlm\.nih\.gov\/articles\/)(PMC\d{4,})\b/i)?.toUpperCase() || null,
+            arxiv: match(/(?:\barxiv(?:_id)?:\s*["']?(?:arxiv:)?|arxiv\.org\/(?:abs|pdf)\/)(\d{4}\.\d{4,5}|[a-z-]+(?:\.[a-z]{2})?\/\d{7})/i)
+        };
+    }
+
+    extractOpenAlexId(content) {
+        const match = content.match(/^openalex_id:\s*["']?(?:https?:\/\/openalex\.org\/)?(W\d+)/m);
+        return match ? match[1] : null;
+    }
+
+    extractTitle(content, fallback) {
+        const frontmatterTitle = this.splitFrontmatter(content).frontmatter?.title;
+        if (frontmatterTitle) return String(frontmatterTitle);
+        
+        const titleRegex = /(?:title:\s*["']([^"']+)["']|# ([^\n]+))/i;
+        const match = content.match(titleRegex);
+        return match ? (match[1] || match[2]) : fallback;
+    }
+
+    sanitizeFilename(filename) {
+        return filename
+            .replace(/[<>:"/\\|?*]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .substring(0, 100);
+    }
+
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    // data.json holds the settings plus the pending background jobs
+    async loadSettings() {
+        const { jobQueue, ...settings } = (await this.loadData()) || {};
+        this.settings = Object.assign({}, DEFAULT_SETTINGS, settings);
+        this.savedJobs = jobQueue || [];
+    }
+
+    async saveSettings() {
+        await this.savePluginData();
+    }
+
+    async savePluginData() {
+        await this.saveData({ ...this.settings, jobQueue: this.jobQueue ? this.jobQueue.jobs : this.savedJobs });
+    }
+}
+
+function toShortOpenAlexId(id) {
+    return String(id).replace(/^https?:\/\/openalex\.org\//i, '');
+}
+
+function normalizeApiBaseUrl(url) {
+    return (url || DEFAULT_API_BASE_URL).trim().replace(/\/+$/, '');
+}
+
+// Note templates:
+//   {{title}}, {{primary_location.source.display_name}}, {{type|Unknown}}   values; text after | is used when empty
+//   {{#each authors limit=3}} … {{/each}}   loops; item fields, {{this}}, {{@index}}, {{@number}}, {{@first}}, {{@last}}
+//   {{#if doi}} … {{else}} … {{/if}}, {{#unless …}}   empty values, empty lists, 0 and false are false
+// A block tag alone on its line removes the whole line, so templates can be laid out one tag per line.
+class NoteTemplate {
+    constructor(source) {
+        this.nodes = NoteTemplate.parse(source);
+    }
+
+    static parse(source) {
+        const text = source.replace(/^[ \t]*(\{\{\s*(?:[#/][^}]*|else)\s*\}\})[ \t]*(?:\r?\n|$)/gm, '$1');
+        const nodes = [];
+        const stack = [{ block: null, list: nodes }];
+        let last = 0;
+        
+        for (const match of text.matchAll(/\{\{\s*([#/]?)\s*([^}]*?)\s*\}\}/g)) {
+            const top = stack[stack.length - 1];
+            if (match.index > last) top.list.push({ type: 'text', text: text.slice(last, match.index) });
+            last = match.index + match[0].length;
+            
+            const [, sigil, expression] = match;
+            if (sigil === '#') {
+                const [type, path, ...args] = expression.split(/\s+/);
+                if (!['each', 'if', 'unless'].includes(type) || !path) throw new Error(`invalid block {{#${expression}}}`);
+                const limit = args.map(arg => arg.match(/^limit=(\d+)$/)).find(Boolean);
+                const block = { type, path, limit: limit ? Number(limit[1]) : Infinity, body: [], inverse: [] };
+                top.list.push(block);
+                stack.push({ block, list: block.body });
+            } else if (sigil === '/') {
+                if (top.block?.type !== expression) throw new Error(`unexpected {{/${expression}}}`);
+                stack.pop();
+            } else if (expression === 'else') {
+                if (!top.block) throw new Error('{{else}} outside a block');
+                top.list = top.block.inverse;
+            } else {
+                const [path, ...fallback] = expression.split('|');
+                top.list.push({ type: 'value', path: path.trim(), fallback: fallback.join('|').trim() });
+            }
+        }
+        
+        if (stack.length > 1) throw new Error(`unclosed {{#${stack[stack.length - 1].block.type}}}`);
+        if (last < text.length) nodes.push({ type: 'text', text: text.slice(last) });
+        return nodes;
+    }
+
+    render(context) {
+        return NoteTemplate.renderNodes(this.nodes, [{ data: context, vars: {} }]);
+    }
+
+    static renderNodes(nodes, scopes) {
+        return nodes.map(node => {
+            if (node.type === 'text') return node.text;
+            
+            const value = NoteTemplate.lookup(node.path, scopes);
+            if (node.type === 'value') return NoteTemplate.isEmpty(value) ? node.fallback : NoteTemplate.format(value);
+            if (node.type === 'each') {
+                const items = (Array.isArray(value) ? value : []).slice(0, node.limit);
+                if (items.length === 0) return NoteTemplate.renderNodes(node.inverse, scopes);
+                return items.map((item, index) => NoteTemplate.renderNodes(node.body, [...scopes, {
+                    data: item,
+                    vars: { index, number: index + 1, first: index === 0, last: index === items.length - 1 }
+                }])).join('');
+            }
+            
+            const truthy = !NoteTemplate.isEmpty(value) && value !== false && value !== 0;
+            return NoteTemplate.renderNodes(truthy === (node.type === 'if') ? node.body : node.inverse, scopes);
+        }).join('');
+    }
+
+    // `this` is the current loop item; other names are looked up from the innermost scope outwards
+    static lookup(path, scopes) {
+        const scope = scopes[scopes.length - 1];
+        if (path.startsWith('@')) return scope.vars[path.slice(1)];
+        
+        const [head, ...rest] = path.split('.');
+        let value;
+        if (head === 'this') {
+            value = scope.data;
+        } else {
+            const owner = [...scopes].reverse().find(({ data }) => data && typeof data === 'object' && head in data);
+            value = owner?.data[head];
+        }
+        for (const key of rest) {
+            value = value == null ? undefined : value[key];
+        }
+        return value;
+    }
+
+    static isEmpty(value) {
+        return value == null || value === '' || (Array.isArray(value) && value.length === 0);
+    }
+
+    static format(value) {
+        if (Array.isArray(value)) return value.map(item => NoteTemplate.format(item)).join(', ');
+        if (typeof value === 'object') return value.display_name ?? JSON.stringify(value);
+        return String(value);
+    }
+}
+
+// Persistent FIFO of background jobs. `run(job)` resolves to { failures, jobs }, where `jobs` are
+// follow-up jobs run next; a job stays queued (and saved) until it finishes, so restarts resume it.
+class JobQueue {
+    constructor({ run, save, onChange, onIdle, getDelay }) {
+        this.run = run;
+        this.save = save;
+        this.onChange = onChange;
+        this.onIdle = onIdle;
+        this.getDelay = getDelay;
+        this.jobs = [];
+        this.running = false;
+        this.paused = false;
+        this.stopped = false;
+        this.resetProgress();
+    }
+
+    resetProgress() {
+        this.completed = 0;
+        this.failed = 0;
+        this.failures = [];
+        this.startedAt = null;
+    }
+
+    load(jobs) {
+        this.jobs = Array.isArray(jobs) ? jobs.filter(job => job && job.type && job.path) : [];
+    }
+
+    key(job) {
+        return `${job.type}:${job.path}`;
+    }
+
+    // Keeps queued jobs pointing at a note after it is renamed or moved
+    async renamePath(oldPath, newPath) {
+        let changed = false;
+        for (const job of this.jobs) {
+            if (job.path === oldPath) {
+                job.path = newPath;
+                changed = true;
+            }
+            if (job.hubPath === oldPath) {
+                job.hubPath = newPath;
+                changed = true;
+            }
+        }
+        if (changed) await this.save();
+    }
+
+    // Returns the number of jobs added; jobs already queued for the same note are skipped
+    async add(jobs) {
+        const queued = new Set(this.jobs.map(job => this.key(job)));
+        let added = 0;
+        for (const job of jobs) {
+            if (queued.has(this.key(job))) continue;
+            queued.add(this.key(job));
+            this.jobs.push(job);
+            added++;
+        }
+        await this.save();
+        this.onChange();
+        return added;
+    }
+
+    // Never rejects, so callers can start the queue without awaiting it
+    async start() {
+        if (this.running || this.paused || this.stopped) return;
+        this.running = true;
+        if (!this.startedAt) this.startedAt = Date.now();
+        
+        try {
+            await this.runJobs();
+        } finally {
+            this.running = false;
+        }
+        
+        if (this.jobs.length === 0 && !this.stopped) {
+            this.onIdle(this);
+            this.resetProgress();
+            this.onChange();
+        }
+    }
+
+    async runJobs() {
+        while (this.jobs.length > 0 && !this.paused && !this.stopped) {
+            const job = this.jobs[0];
+            let followUps = [];
+            try {
+                const result = await this.run(job) || {};
+                followUps = result.jobs || [];
+                this.failures.push(...(result.failures || []));
+                this.completed++;
+            } catch (error) {
+                console.error(`Background job ${this.key(job)} failed:`, error);
+                this.failures.push({ id: job.path, reason: error.message });
+                this.failed++;
+            }
+            
+            // A cancel while the job ran has already emptied the queue
+            const index = this.jobs.indexOf(job);
+            if (index !== -1) this.jobs.splice(index, 1, ...followUps);
+            try {
+                await this.save();
+            } catch (error) {
+                // The queue in memory is still right; the next successful save catches up
+                console.error('Error saving the background job queue:', error);
+            }
+            this.onChange();
+            
+            if (this.jobs.length > 0) await new Promise(resolve => setTimeout(resolve, this.getDelay()));
+        }
+    }
+
+    pause() {
+        this.paused = true;
+        this.onChange();
+    }
+
+    resume() {
+        this.paused = false;
+        this.onChange();
+        this.start();
+    }
+
+    // Stops after the current job without touching the saved queue (used on unload)
+    stop() {
+        this.stopped = true;
+    }
+
+    // Drops all pending jobs; returns how many were removed
+    async cancel() {
+        const cancelled = this.jobs.length;
+        this.jobs = [];
+        this.paused = false;
+        await this.save();
+        if (!this.running) this.resetProgress();
+        this.onChange();
+        return cancelled;
+    }
+
+    // ETA is the average time per finished job times the jobs left; null until one job finished
+    getProgress() {
+        const done = this.completed + this.failed;
+        const total = done + this.jobs.length;
+        const etaMs = done > 0 && this.startedAt ? (Date.now() - this.startedAt) / done * this.jobs.length : null;
+        return { done, total, etaMs };
+    }
+}
+
+class OpenAlexRequestError extends Error {
+    constructor(message, status, url) {
+        super(message);
+        this.name = 'OpenAlexRequestError';
+        this.status = status;
+        this.url = url;
+    }
+}
+
+// All OpenAlex HTTP traffic goes through here: credentials, retries and backoff
+class OpenAlexHttpClient {
+    constructor(getSettings) {
+        this.getSettings = getSettings;
+    }
+
+    withCredentials(url) {
+        const { contactEmail, apiKey } = this.getSettings();
+        const params = [];
+        if (contactEmail) params.push(`mailto=${encodeURIComponent(contactEmail)}`);
+        if (apiKey) params.push(`api_key=${encodeURIComponent(apiKey)}`);
+        if (params.length === 0) return url;
+        return url + (url.includes('?') ? '&' : '?') + params.join('&');
+    }
+
+    async getJson(url) {
+        const maxRetries = this.getSettings().maxRetries ?? 0;
+        const requestUrl = this.withCredentials(url);
+        
+        for (let attempt = 0; ; attempt++) {
+            let response;
+            try {
+                response = await fetch(requestUrl);
+            } catch (error) {
+                if (attempt >= maxRetries) {
+                    throw new OpenAlexRequestError(`Network error: ${error.message}`, 0, url);
+                }
+                await this.wait(this.backoffDelay(attempt));
+                continue;
+            }
+            
+            if (response.ok) return await response.json();
+            
+            if (!RETRYABLE_STATUSES.has(response.status) || attempt >= maxRetries) {
+                throw new OpenAlexRequestError(`HTTP ${response.status}: ${response.statusText}`, response.status, url);
+            }
+            
+            const retryAfter = this.parseRetryAfter(response.headers?.get('Retry-After'));
+            await this.wait(retryAfter ?? this.backoffDelay(attempt));
+        }
+    }
+
+    backoffDelay(attempt) {
+        const jitter = Math.random() * 250;
+        return Math.min(1000 * 2 ** attempt + jitter, MAX_BACKOFF_MS);
+    }
+
+    // Retry-After is either a number of seconds or an HTTP date
+    parseRetryAfter(value) {
+        if (!value) return null;
+        
+        const seconds = Number(value);
+        if (Number.isFinite(seconds)) return Math.min(seconds * 1000, MAX_BACKOFF_MS);
+        
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.min(Math.max(date - Date.now(), 0), MAX_BACKOFF_MS);
+    }
+
+    wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+// Interface for OpenAlex data sources. Implementations return OpenAlex-shaped work objects
+// and throw OpenAlexRequestError (status 404 for missing works) on failure.
+class OpenAlexProvider {
+    // Full work record by OpenAlex ID (short "W123" or URL form)
+    async getWork(id) {
+        throw new Error('getWork not implemented');
+    }
+
+    async getWorkByDoi(doi) {
+        throw new Error('getWorkByDoi not implemented');
+    }
+
+    // `kind` is an OpenAlex external ID namespace such as 'pmid' or 'pmcid'
+    async getWorkByExternalId(kind, value) {
+        throw new Error('getWorkByExternalId not implemented');
+    }
+
+    // Returns an array of works matching a free-text query
+    async searchWorks(query, { perPage = 25 } = {}) {
+        throw new Error('searchWorks not implemented');
+    }
+
+    // Returns an array of works with an author whose name matches `name`
+    async searchWorksByAuthor(name, { perPage = 25 } = {}) {
+        throw new Error('searchWorksByAuthor not implemented');
+    }
+
+    // Returns up to `limit` works by the given author, most cited first
+    async getWorksByAuthor(authorId, { limit = 25 } = {}) {
+        throw new Error('getWorksByAuthor not implemented');
+    }
+
+    // Returns { works, fromNetwork } for up to OPENALEX_BATCH_SIZE IDs, in no particular order
+    async getWorksByIds(ids, { select } = {}) {
+        throw new Error('getWorksByIds not implemented');
+    }
+
+    // Returns author records for up to OPENALEX_BATCH_SIZE IDs, in no particular order
+    async getAuthorsByIds(ids) {
+        throw new Error('getAuthorsByIds not implemented');
+    }
+
+    // Returns up to `limit` works citing the given work. `sort` is a CITED_BY_SORT_OPTIONS key;
+    // `search` ranks by relevance; `fromYear`/`toYear` (0 = unbounded) filter by publication year;
+    // `createdSince` (YYYY-MM-DD) keeps works added to OpenAlex on or after that date.
+    async getCitingWorks(id, { limit = 25, sort = 'default', search = '', fromYear = 0, toYear = 0, createdSince = '' } = {}) {
+        throw new Error('getCitingWorks not implemented');
+    }
+
+    // Returns up to `limit` works the given work cites, with the same `sort` and year filters
+    async getReferencedWorks(id, { limit = 25, sort = 'default', fromYear = 0, toYear = 0 } = {}) {
+        throw new Error('getReferencedWorks not implemented');
+    }
+
+    isOffline() {
+        return false;
+    }
+}
+
+// OpenAlex REST API, or any server exposing the same routes (mirror, fixture server, local snapshot)
+class RestOpenAlexProvider extends OpenAlexProvider {
+    constructor(http, getSettings) {
+        super();
+        this.http = http;
+        this.getSettings = getSettings;
+    }
+
+    get baseUrl() {
+        return normalizeApiBaseUrl(this.getSettings().apiBaseUrl);
+    }
+
+    async getWork(id) {
+        return this.http.getJson(`${this.baseUrl}/works/${toShortOpenAlexId(id)}`);
+    }
+
+    async getWorkByDoi(doi) {
+        return this.http.getJson(`${this.baseUrl}/works/https://doi.org/${doi}`);
+    }
+
+    async getWorkByExternalId(kind, value) {
+        return this.http.getJson(`${this.baseUrl}/works/${kind}:${encodeURIComponent(value)}`);
+    }
+
+    async searchWorks(query, { perPage = 25 } = {}) {
+        const data = await this.http.getJson(`${this.baseUrl}/works?search=${encodeURIComponent(query)}&per-page=${perPage}`);
+        return data.results || [];
+    }
+
+    async searchWorksByAuthor(name, { perPage = 25 } = {}) {
+        const filter = `raw_author_name.search:${encodeURIComponent(name.replace(/[,|]/g, ' '))}`;
+        const data = await this.http.getJson(`${this.baseUrl}/works?filter=${filter}&sort=cited_by_count:desc&per-page=${perPage}`);
+        return data.results || [];
+    }
+
+    async getWorksByIds(ids, { select } = {}) {
+        let url = `${this.baseUrl}/works?filter=openalex_id:${ids.map(toShortOpenAlexId).join('|')}&per-page=${ids.length}`;
+        if (select) url += `&select=${select.join(',')}`;
+        
+        const data = await this.http.getJson(url);
+        return { works: data.results || [], fromNetwork: true };
+    }
+
+    async getAuthorsByIds(ids) {
+        const data = await this.http.getJson(
+            `${this.baseUrl}/authors?filter=openalex_id:${ids.map(toShortOpenAlexId).join('|')}&per-page=${ids.length}`
+        );
+        return data.results || [];
+    }
+
+    async getWorksByAuthor(authorId, { limit = 25 } = {}) {
+        const data = await this.http.getJson(
+            `${this.baseUrl}/works?filter=author.id:${toShortOpenAlexId(authorId)}&sort=cited_by_count:desc&per-page=${Math.min(limit, OPENALEX_MAX_PER_PAGE)}`
+        );
+        return data.results || [];
+    }
+
+    async getCitingWorks(id, options = {}) {
+        return this.listWorks(`cites:${toShortOpenAlexId(id)}`, options);
+    }
+
+    async getReferencedWorks(id, options = {}) {
+        return this.listWorks(`cited_by:${toShortOpenAlexId(id)}`, options);
+    }
+
+    // Pages through /works matching `filter` plus the optional year and creation-date filters
+    async listWorks(filter, { limit = 25, sort = 'default', search = '', fromYear = 0, toYear = 0, createdSince = '' } = {}) {
+        const filters = [filter];
+        if (fromYear) filters.push(`from_publication_date:${fromYear}-01-01`);
+        if (toYear) filters.push(`to_publication_date:${toYear}-12-31`);
+        if (createdSince) filters.push(`from_created_date:${createdSince}`);
+        
+        let query = `filter=${filters.join(',')}&per-page=${Math.min(limit, OPENALEX_MAX_PER_PAGE)}`;
+        const keywords = search.trim();
+        if (keywords) query += `&search=${encodeURIComponent(keywords)}`;
+        if (sort === 'cited_by_count' || sort === 'publication_date') {
+            query += `&sort=${sort}:desc`;
+        } else if (sort === 'relevance' && keywords) {
+            query += '&sort=relevance_score:desc';
+        }
+        
+        const results = [];
+        let cursor = '*';
+        while (cursor && results.length < limit) {
+            if (results.length > 0) await this.wait(this.getSettings().delayBetweenRequests);
+            
+            const data = await this.http.getJson(`${this.baseUrl}/works?${query}&cursor=${encodeURIComponent(cursor)}`);
+            const page = data.results || [];
+            results.push(...page);
+            cursor = page.length > 0 ? data.meta?.next_cursor : null;
+        }
+        return results.slice(0, limit);
+    }
+
+    wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+// Wraps another provider with the on-disk ResponseCache, TTL and offline mode
+class CachedOpenAlexProvider extends OpenAlexProvider {
+    constructor(inner, cache, getSettings) {
+        super();
+        this.inner = inner;
+        this.cache = cache;
+        this.getSettings = getSettings;
+    }
+
+    isOffline() {
+        return this.getSettings().offlineMode || (typeof navigator !== 'undefined' && navigator.onLine === false);
+    }
+
+    // Responses from a mirror or fixture server are kept apart from those of the public API
+    scopedKey(key) {
+        const baseUrl = normalizeApiBaseUrl(this.getSettings().apiBaseUrl);
+        return baseUrl === DEFAULT_API_BASE_URL ? key : `${baseUrl}|${key}`;
+    }
+
+    // Returns cached data if it is within the TTL (or any cached data when offline / allowStale)
+    async read(key, allowStale = false) {
+        const settings = this.getSettings();
+        if (!settings.enableCache) return null;
+        try {
+            const entry = await this.cache.get(this.scopedKey(key));
+            if (!entry) return null;
+            const fresh = Date.now() - entry.fetchedAt < settings.cacheTtlDays * DAY_MS;
+            return (fresh || allowStale || this.isOffline()) ? entry.data : null;
+        } catch (error) {
+            console.error(`Error reading cache entry ${key}:`, error);
+            return null;
+        }
+    }
+
+    async write(key, data) {
+        if (!this.getSettings().enableCache) return;
+        try {
+            await this.cache.set(this.scopedKey(key), data);
+        } catch (error) {
+            console.error(`Error writing cache entry ${key}:`, error);
+        }
+    }
+
+    // `refresh: true` ignores fresh cache entries and goes to the network;
+    // `store: false` keeps one-off responses out of the cache
+    async cached(key, load, { refresh = false, store = true } = {}) {
+        const cached = refresh && !this.isOffline() ? null : await this.read(key);
+        if (cached) return cached;
+        if (this.isOffline()) throw new OpenAlexRequestError(`Offline: no cached data for ${key}`, 0, key);
+        
+        try {
+            const data = await load();
+            if (store) await this.write(key, data);
+            return data;
+        } catch (error) {
+            // Fall back to an expired entry rather than failing outright
+            const stale = await this.read(key, true);
+            if (stale) {
+                console.warn(`Using stale cache for ${key}:`, error);
+                return stale;
+            }
+            throw error;
+        }
+    }
+
+    // Share full records with later lookups of the same work by ID
+    async rememberWork(work) {
+        if (work?.id) await this.write(`work:${toShortOpenAlexId(work.id)}`, work);
+        return work;
+    }
+
+    async getWork(id, options = {}) {
+        return this.cached(`work:${toShortOpenAlexId(id)}`, () => this.inner.getWork(id), options);
+    }
+
+    async getWorkByDoi(doi, options = {}) {
+        const key = `doi:${doi.toLowerCase()}`;
+        return this.rememberWork(await this.cached(key, () => this.inner.getWorkByDoi(doi), options));
+    }
+
+    async getWorkByExternalId(kind, value, options = {}) {
+        const key = `ext:${kind}:${String(value).toLowerCase()}`;
+        return this.rememberWork(await this.cached(key, () => this.inner.getWorkByExternalId(kind, value), options));
+    }
+
+    async searchWorks(query, options = {}) {
+        const key = `search:${query.toLowerCase()}:${options.perPage || 25}`;
+        const results = await this.cached(key, () => this.inner.searchWorks(query, options), options);
+        for (const work of results) await this.rememberWork(work);
+        return results;
+    }
+
+    async searchWorksByAuthor(name, options = {}) {
+        const key = `search-author:${name.toLowerCase()}:${options.perPage || 25}`;
+        const results = await this.cached(key, () => this.inner.searchWorksByAuthor(name, options), options);
+        for (const work of results) await this.rememberWork(work);
+        return results;
+    }
+
+    async getWorksByIds(ids, options = {}) {
+        const works = [];
+        const missing = [];
+        for (const id of ids.map(toShortOpenAlexId)) {
+            const cached = await this.read(`work:${id}`) || await this.read(`ref:${id}`);
+            // Trimmed entries cached before a field was added to `select` are fetched again when online
+            const complete = cached && (!options.select || options.select.every(field => field in cached));
+            if (complete || (cached && this.isOffline())) works.push(cached);
+            else missing.push(id);
+        }
+        
+        if (missing.length === 0 || this.isOffline()) return { works, fromNetwork: false };
+        
+        const fetched = await this.inner.getWorksByIds(missing, options);
+        for (const work of fetched.works) {
+            works.push(work);
+            // Trimmed (select=) payloads are kept apart from full records
+            await this.write(`${options.select ? 'ref' : 'work'}:${toShortOpenAlexId(work.id)}`, work);
+        }
+        return { works, fromNetwork: true };
+    }
+
+    async getAuthorsByIds(ids) {
+        const authors = [];
+        const missing = [];
+        for (const id of ids.map(toShortOpenAlexId)) {
+            const cached = await this.read(`author:${id}`);
+            if (cached) authors.push(cached);
+            else missing.push(id);
+        }
+        
+        if (missing.length === 0 || this.isOffline()) return authors;
+        
+        for (const author of await this.inner.getAuthorsByIds(missing)) {
+            authors.push(author);
+            await this.write(`author:${toShortOpenAlexId(author.id)}`, author);
+        }
+        return authors;
+    }
+
+    async getWorksByAuthor(authorId, options = {}) {
+        const key = `author-works:${toShortOpenAlexId(authorId)}:${options.limit || 25}`;
+        return this.cached(key, () => this.inner.getWorksByAuthor(authorId, options), options);
+    }
+
+    async getCitingWorks(id, options = {}) {
+        const { limit = 25, sort = 'default', search = '', fromYear = 0, toYear = 0, createdSince = '' } = options;
+        const key = `cites:${toShortOpenAlexId(id)}:${limit}:${sort}:${search.trim().toLowerCase()}:${fromYear}-${toYear}:${createdSince}`;
+        return this.cached(key, () => this.inner.getCitingWorks(id, options), options);
+    }
+
+    async getReferencedWorks(id, options = {}) {
+        const { limit = 25, sort = 'default', fromYear = 0, toYear = 0 } = options;
+        const key = `refs:${toShortOpenAlexId(id)}:${limit}:${sort}:${fromYear}-${toYear}`;
+        return this.cached(key, () => this.inner.getReferencedWorks(id, options), options);
+    }
+}
+
+// One JSON file per cached response under the plugin folder
+class ResponseCache {
+    constructor(adapter, dir) {
+        this.adapter = adapter;
+        this.dir = dir;
+    }
+
+    keyToPath(key) {
+        // FNV-1a keeps filenames short; the full key is stored in the entry to detect collisions
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < key.length; i++) {
+            hash ^= key.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        const slug = key.replace(/[^\w.-]+/g, '_').substring(0, 60);
+        return `${this.dir}/${slug}-${hash.toString(16)}.json`;
+    }
+
+    async get(key) {
+        const path = this.keyToPath(key);
+        if (!(await this.adapter.exists(path))) return null;
+        
+        const entry = JSON.parse(await this.adapter.read(path));
+        return entry.key === key ? entry : null;
+    }
+
+    async set(key, data) {
+        if (!(await this.adapter.exists(this.dir))) {
+            await this.adapter.mkdir(this.dir);
+        }
+        await this.adapter.write(this.keyToPath(key), JSON.stringify({ key, fetchedAt: Date.now(), data }));
+    }
+
+    async clear() {
+        if (!(await this.adapter.exists(this.dir))) return 0;
+        
+        const { files } = await this.adapter.list(this.dir);
+        for (const file of files) {
+            await this.adapter.remove(file);
+        }
+        return files.length;
+    }
+}
+
+class CitationSidebarView extends ItemView {
+    constructor(leaf, plugin) {
+        super(leaf);
+        this.plugin = plugin;
+        this.currentPath = null;
+        // Recently shown notes by path, so switching back and forth does not refetch them
+        this.neighbourhoods = new Map();
+    }
+
+    getViewType() {
+        return CITATION_VIEW_TYPE;
+    }
+
+    getDisplayText() {
+        return 'OpenAlex citations';
+    }
+
+    getIcon() {
+        return 'zap';
+    }
+
+    async onOpen() {
+        this.registerEvent(this.app.workspace.on('file-open', file => this.update(file)));
+        await this.update(this.app.workspace.getActiveFile(), true);
+    }
+
+    async onClose() {
+        this.contentEl.empty();
+    }
+
+    async update(file, force = false) {
+        if (!file || file.extension !== 'md' || (!force && file.path === this.currentPath)) return;
+        this.currentPath = file.path;
+        
+        const { contentEl } = this;
+        contentEl.empty();
+        contentEl.createEl('h4', { text: file.basename });
+        const status = contentEl.createEl('p', { text: 'Loading...' });
+        
+        try {
+            const data = await this.loadNeighbourhood(file, force);
+            const index = await this.plugin.indexPaperNotes();
+            // Another note was opened while this one loaded
+            if (this.currentPath !== file.path) return;
+            status.remove();
+            
+            if (!data) {
+                contentEl.createEl('p', { text: 'This note is not linked to OpenAlex yet.' });
+                const button = contentEl.createEl('button', { text: 'Process with OpenAlex', cls: 'mod-cta' });
+                button.onclick = async () => {
+                    await this.plugin.processZoteroFile(file, { interactive: true });
+                    await this.update(file, true);
+                };
+                return;
+            }
+            
+            this.renderSection(`References (${data.references.length})`, data.references, index);
+            this.renderSection(`Cited by (${data.citingWorks.length} of ${data.work.cited_by_count || 0})`, data.citingWorks, index);
+        } catch (error) {
+            console.error('Error loading citation sidebar:', error);
+            status.setText(`Could not load citations: ${error.message}`);
+        }
+    }
+
+    async loadNeighbourhood(file, refresh) {
+        if (!refresh && this.neighbourhoods.has(file.path)) return this.neighbourhoods.get(file.path);
+        
+        const data = await this.plugin.loadCitationNeighbourhood(file);
+        this.neighbourhoods.delete(file.path);
+        this.neighbourhoods.set(file.path, data);
+        if (this.neighbourhoods.size > SIDEBAR_CACHE_SIZE) {
+            this.neighbourhoods.delete(this.neighbourhoods.keys().next().value);
+        }
+        return data;
+    }
+
+    renderSection(title, works, index) {
+        this.contentEl.createEl('h5', { text: title });
+        const list = this.contentEl.createDiv();
+        
+        for (const work of works) {
+            const item = list.createDiv({ cls: 'openalex-citation-item' });
+            const paper = this.plugin.findIndexedPaper(index, work);
+            const hubPath = this.plugin.hubMap.get(work.id);
+            const mark = paper ? '● In vault' : (hubPath ? '○ Phantom hub' : '· Not in vault');
+            
+            item.createEl('div', { text: work.display_name || work.title || work.id });
+            const details = [work.publication_year, this.plugin.getVenueName(work), `${work.cited_by_count || 0} citations`, mark];
+            item.createEl('small', { text: details.filter(Boolean).join(' · ') });
+            
+            const actions = item.createDiv();
+            if (paper) {
+                this.addAction(actions, 'Open note', () => this.app.workspace.getLeaf(false).openFile(paper));
+            }
+            if (hubPath) {
+                this.addAction(actions, 'Open hub', () => this.app.workspace.openLinkText(hubPath, '', false));
+            }
+            if (!paper) {
+                this.addAction(actions, 'Create note', () => this.importAndRefresh(work, index, false));
+                this.addAction(actions, 'Queue', () => this.importAndRefresh(work, index, true));
+            }
+        }
+    }
+
+    async importAndRefresh(work, index, queue) {
+        await this.plugin.importWorkAsPaper(work, index, { queue });
+        const current = this.app.vault.getAbstractFileByPath(this.currentPath);
+        if (current) await this.update(current, true);
+    }
+
+    addAction(container, text, action) {
+        const button = container.createEl('button', { text });
+        button.onclick = async () => {
+            button.disabled = true;
+            try {
+                await action();
+            } catch (error) {
+                console.error(`Error running "${text}" from the citation sidebar:`, error);
+                new Notice(`${text} failed: ${error.message}`);
+            } finally {
+                button.disabled = false;
+            }
+        };
+    }
+}
+
+// Lets the user pick the right work when a title search is not confident; resolves to the
+// chosen work, or false when the modal is closed without a choice
+class DisambiguationModal extends Modal {
+    constructor(app, plugin, noteName, candidates, resolve) {
+        super(app);
+        this.plugin = plugin;
+        this.noteName = noteName;
+        this.candidates = candidates;
+        this.resolve = resolve;
+        this.chosen = false;
     }
 
-    createHubContent(work, connectedPaper) {
-        const filename = this.generateHubCiteKey(work);
+    onOpen() {
+        const { contentEl } = this;
+        this.titleEl.setText(`Which paper is "${this.noteName}"?`);
+        contentEl.createEl('p', { text: 'The title search found no confident match. Pick the right paper, or skip to leave the note unchanged.' });
         
-        let content = `---\n`;
-        content += `title: "${work.display_name || work.title || 'Unknown'}"\n`;
-        content += `doi: "${work.ids?.doi || ''}"\n`;
-        content += `publication_year: ${work.publication_year || 'Unknown'}\n`;
-        content += `journal: "${work.host_venue?.display_name || 'Unknown'}"\n`;
-        content += `authors: "${work.authorships?.map(a => a.author.display_name).join(', ') || 'Unknown'}"\n`;
-        content += `openalex_id: "${work.id}"\n`;
-        content += `cited_by_count: ${work.cited_by_count || 0}\n`;
-        content += `is_hub: true\n`;
-        content += `cssclass: research-hub\n`;
-        content += `tags: [hub, research]\n`;
-        content += `---\n\n`;
-        
-        content += `# ${work.display_name || work.title || 'Unknown Paper'}\n\n`;
-        content += `> [!abstract] Research Hub 🔗\n`;
-        content += `> Central hub connecting papers in your research network\n\n`;
-        
-        content += `## Parent Paper\n- [[${connectedPaper}]]\n\n`;
-        
-        content += `## Paper Details\n`;
-        content += `- **Authors:** ${work.authorships?.map(a => a.author.display_name).join(', ') || 'Unknown'}\n`;
-        content += `- **Year:** ${work.publication_year || 'Unknown'}\n`;
-        content += `- **Journal:** ${work.host_venue?.display_name || 'Unknown'}\n`;
-        content += `- **DOI:** ${work.ids?.doi || 'N/A'}\n`;
-        content += `- **Citation Count:** ${work.cited_by_count || 0}\n`;
-        content += `- **OpenAlex ID:** [${work.id}](${work.id})\n\n`;
-        
-        if (work.abstract_inverted_index) {
-            const abstract = Object.entries(work.abstract_inverted_index)
-                .flatMap(([word, positions]) => positions.map(pos => [pos, word]))
-                .sort((a, b) => a[0] - b[0])
-                .map(entry => entry[1])
-                .join(' ');
-            content += `## Abstract\n${abstract}\n\n`;
-        }
-        
-        if (work.concepts?.length > 0) {
-            content += `## Key Concepts\n`;
-            work.concepts.slice(0, 5).forEach(concept => {
-                content += `- ${concept.display_name} (${Math.round(concept.score * 100)}%)\n`;
-            });
-            content += `\n`;
+        for (const { work, score } of this.candidates) {
+            const details = [
+                `${Math.round(score * 100)}% match`,
+                work.publication_year,
+                work.authorships?.[0]?.author?.display_name,
+                this.plugin.getVenueName(work)
+            ].filter(Boolean);
+            new Setting(contentEl)
+                .setName(work.display_name || work.title || work.id)
+                .setDesc(details.join(' · '))
+                .addButton(button => button
+                    .setButtonText('Use this')
+                    .onClick(() => {
+                        this.chosen = work;
+                        this.close();
+                    }));
         }
         
-        content += `## Connected Papers\n*Papers in your vault that reference this work*\n\n`;
-        content += `## Cited\n*Papers this work references*\n\n`;
-        content += `## Cited By\n*Papers that cite this work*\n\n`;
-        content += `## Research Notes\n*Add your research insights and connections here*\n`;
-        
-        return content;
+        new Setting(contentEl)
+            .addButton(button => button
+                .setButtonText('Skip')
+                .onClick(() => this.close()));
     }
-    
-    async fetchOpenAlexData(doi, title) {
-        try {
-            const url = doi 
-                ? `https://api.openalex.org/works/https://doi.org/${doi}`
-                : `https://api.openalex.org/works?search=${encodeURIComponent(title)}&per-page=1`;
-            
-            const response = await fetch(url);
-            if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            
-            const data = await response.json();
-            return doi ? data : (data.results?.[0] || null);
-            
-        } catch (error) {
-            console.error('Error fetching OpenAlex data:', error);
-            return null;
-        }
+
+    onClose() {
+        this.contentEl.empty();
+        this.resolve(this.chosen);
     }
+}
 
-    async fetchOpenAlexWorkById(id) {
-        try {
-            const response = await fetch(`https://api.openalex.org/works/${id}`);
-            return response.ok ? await response.json() : null;
-        } catch (error) {
-            return null;
-        }
+// Options for "Expand citation network"; `onSubmit` receives them as crawl* settings
+class CitationCrawlModal extends Modal {
+    constructor(app, plugin, onSubmit) {
+        super(app);
+        const settings = plugin.settings;
+        this.options = {
+            crawlDepth: settings.crawlDepth,
+            crawlDirection: settings.crawlDirection,
+            crawlBudget: settings.crawlBudget,
+            crawlMinCitations: settings.crawlMinCitations,
+            crawlFromYear: settings.crawlFromYear,
+            crawlToYear: settings.crawlToYear,
+            crawlTopics: settings.crawlTopics
+        };
+        this.onSubmit = onSubmit;
     }
 
-    async updateFileWithOpenAlexData(file, work, originalContent) {
-        let abstract = '';
-        if (work.abstract_inverted_index) {
-            const words = Object.entries(work.abstract_inverted_index)
-                .flatMap(([word, positions]) => positions.map(pos => [pos, word]))
-                .sort((a, b) => a[0] - b[0])
-                .map(entry => entry[1]);
-            abstract = words.join(' ');
-        }
-        
-        let newContent = this.updateFrontmatter(originalContent, {
-            publication_year: work.publication_year,
-            journal: work.host_venue?.display_name || 'Unknown',
-            openalex_id: work.id,
-            cited_by_count: work.cited_by_count,
-            concepts: work.concepts?.slice(0, 5).map(c => c.display_name) || [],
-            processed_by_openalex: true
-        });
-        
-        const metadataSection = this.buildMetadataSection(work, abstract);
+    onOpen() {
+        const { contentEl } = this;
+        this.titleEl.setText('Expand citation network');
+        const numberSetting = (name, desc, key, placeholder) => new Setting(contentEl)
+            .setName(name)
+            .setDesc(desc)
+            .addText(text => text
+                .setPlaceholder(placeholder)
+                .setValue(this.options[key] ? String(this.options[key]) : '')
+                .onChange(value => {
+                    const number = parseInt(value, 10);
+                    this.options[key] = Number.isFinite(number) && number > 0 ? number : 0;
+                }));
         
-        if (newContent.includes('## 📊 OpenAlex Metadata')) {
-            newContent = newContent.replace(
-                /## 📊 OpenAlex Metadata[\s\S]*?(?=\n## |\n---|\n$)/,
-                metadataSection
-            );
-        } else {
-            const insertPoint = newContent.indexOf('🗒 Persistent Notes'); // Place of Metadata to be Placed
-            if (insertPoint !== -1) {
-                newContent = newContent.slice(0, insertPoint) + 
-                           metadataSection + '\n\n' + 
-                           newContent.slice(insertPoint);
-            } else {
-                newContent += '\n\n' + metadataSection;
-            }
-        }
+        new Setting(contentEl)
+            .setName('Hops')
+            .setDesc('How many steps away from this paper to go')
+            .addSlider(slider => slider
+                .setLimits(1, 5, 1)
+                .setValue(this.options.crawlDepth)
+                .setDynamicTooltip()
+                .onChange(value => this.options.crawlDepth = value));
         
-        await this.app.vault.modify(file, newContent);
-    }
-
-    buildMetadataSection(work, abstract) {
-        let section = `## 📊 OpenAlex Metadata\n\n### Publication Details\n`;
-        section += `- **Journal:** ${work.host_venue?.display_name || 'Unknown'}\n`;
-        section += `- **Publication Year:** ${work.publication_year}\n`;
-        section += `- **DOI:** ${work.ids?.doi || 'N/A'}\n`;
-        section += `- **OpenAlex ID:** [${work.id}](${work.id})\n`;
-        section += `- **Citation Count:** ${work.cited_by_count}\n\n`;
+        new Setting(contentEl)
+            .setName('Direction')
+            .addDropdown(dropdown => dropdown
+                .addOptions(CRAWL_DIRECTIONS)
+                .setValue(this.options.crawlDirection)
+                .onChange(value => this.options.crawlDirection = value));
         
-        if (work.concepts?.length > 0) {
-            section += `### Research Concepts\n`;
-            work.concepts.slice(0, 5).forEach(concept => {
-                section += `- **${concept.display_name}** (${Math.round(concept.score * 100)}%)\n`;
-            });
-            section += `\n`;
-        }
+        new Setting(contentEl)
+            .setName('Work budget')
+            .setDesc('Stop after adding this many works in total')
+            .addSlider(slider => slider
+                .setLimits(10, 1000, 10)
+                .setValue(this.options.crawlBudget)
+                .setDynamicTooltip()
+                .onChange(value => this.options.crawlBudget = value));
         
-        if (abstract) {
-            section += `### OpenAlex Abstract\n> ${abstract}\n\n`;
-        }
+        numberSetting('Minimum citations', 'Skip works cited fewer times than this', 'crawlMinCitations', '0');
+        numberSetting('From year', 'Skip works published before this year', 'crawlFromYear', 'Any');
+        numberSetting('To year', 'Skip works published after this year', 'crawlToYear', 'Any');
         
-        section += `### Citation Network\n`;
-        section += `- **References:** ${work.referenced_works?.length || 0} papers\n`;
-        section += `- **Cited By:** ${work.cited_by_count} papers\n`;
+        new Setting(contentEl)
+            .setName('Topics')
+            .setDesc('Comma-separated keywords; only works with a matching topic, subfield, field or domain are added')
+            .addText(text => text
+                .setPlaceholder('e.g. machine learning, neuroscience')
+                .setValue(this.options.crawlTopics)
+                .onChange(value => this.options.crawlTopics = value));
         
-        return section;
+        new Setting(contentEl)
+            .addButton(button => button
+                .setButtonText('Expand')
+                .setCta()
+                .onClick(() => {
+                    this.close();
+                    this.onSubmit(this.options);
+                }));
     }
 
-    updateFrontmatter(content, updates) {
-        const frontmatterRegex = /^---\n([\s\S]*?)\n---/;
-        const match = content.match(frontmatterRegex);
-        
-        if (!match) {
-            let newFrontmatter = '---\n';
-            Object.entries(updates).forEach(([key, value]) => {
-                if (Array.isArray(value)) {
-                    newFrontmatter += `${key}: [${value.map(v => `"${v}"`).join(', ')}]\n`;
-                } else {
-                    newFrontmatter += `${key}: ${typeof value === 'string' ? `"${value}"` : value}\n`;
-                }
-            });
-            newFrontmatter += '---\n';
-            return newFrontmatter + content;
-        }
+    onClose() {
+        this.contentEl.empty();
+    }
+}
+
+// Previews the hubs "Clean up orphaned hubs" will remove or mark as phantom before anything changes
+class OrphanedHubsModal extends Modal {
+    constructor(app, { orphans, demote }, onConfirm) {
+        super(app);
+        this.orphans = orphans;
+        this.demote = demote;
+        this.onConfirm = onConfirm;
+    }
+
+    onOpen() {
+        const { contentEl } = this;
+        this.titleEl.setText('Clean up orphaned hubs');
         
-        let frontmatterText = match[1];
-        Object.entries(updates).forEach(([key, value]) => {
-            const existingLine = new RegExp(`^${key}:.*$`, 'm');
-            let newLine;
-            if (Array.isArray(value)) {
-                newLine = `${key}: [${value.map(v => `"${v}"`).join(', ')}]`;
-            } else {
-                newLine = `${key}: ${typeof value === 'string' ? `"${value}"` : value}`;
-            }
-            
-            if (existingLine.test(frontmatterText)) {
-                frontmatterText = frontmatterText.replace(existingLine, newLine);
-            } else {
-                frontmatterText += '\n' + newLine;
-            }
-        });
+        const renderList = (heading, hubs) => {
+            if (hubs.length === 0) return;
+            contentEl.createEl('p', { text: heading });
+            const list = contentEl.createEl('ul');
+            hubs.forEach(hub => list.createEl('li', { text: hub.file.basename }));
+        };
+        renderList(`${this.orphans.length} hubs are not linked to any paper in your vault and will be moved to the trash:`, this.orphans);
+        renderList(`${this.demote.length} hubs lost their paper note but are still cited, and will be marked as phantom:`, this.demote);
         
-        return content.replace(frontmatterRegex, `---\n${frontmatterText}\n---`);
+        new Setting(contentEl)
+            .addButton(button => button
+                .setButtonText('Cancel')
+                .onClick(() => this.close()))
+            .addButton(button => button
+                .setButtonText('Clean up')
+                .setWarning()
+                .onClick(async () => {
+                    this.close();
+                    await this.onConfirm();
+                }));
     }
 
-    extractDOI(content) {
-        const doiRegex = /(?:doi:\s*["']?|https?:\/\/(?:dx\.)?doi\.org\/)(10\.\d{4,}\/[^\s"'\]]+)/i;
-        const match = content.match(doiRegex);
-        return match ? match[1] : null;
+    onClose() {
+        this.contentEl.empty();
     }
+}
 
-    extractTitle(content, fallback) {
-        const titleRegex = /(?:title:\s*["']([^"']+)["']|# ([^\n]+))/i;
-        const match = content.match(titleRegex);
-        return match ? (match[1] || match[2]) : fallback;
+class BibliographyFileModal extends FuzzySuggestModal {
+    constructor(app, files, onChoose) {
+        super(app);
+        this.files = files;
+        this.onChoose = onChoose;
+        this.setPlaceholder('Import papers from...');
     }
 
-    sanitizeFilename(filename) {
-        return filename
-            .replace(/[<>:"/\\|?*]/g, '')
-            .replace(/\s+/g, ' ')
-            .trim()
-            .substring(0, 100);
+    getItems() {
+        return this.files;
     }
 
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    getItemText(file) {
+        return file.path;
     }
 
-    async loadSettings() {
-        this.settings = Object.assign({}, DEFAULT_SETTINGS, await this.loadData());
+    onChooseItem(file) {
+        this.onChoose(file);
+    }
+}
+
+class BibliographyFormatModal extends FuzzySuggestModal {
+    constructor(app, onChoose) {
+        super(app);
+        this.onChoose = onChoose;
+        this.setPlaceholder('Export bibliography as...');
     }
 
-    async saveSettings() {
-        await this.saveData(this.settings);
+    getItems() {
+        return Object.keys(BIBLIOGRAPHY_FORMATS);
+    }
+
+    getItemText(format) {
+        return BIBLIOGRAPHY_FORMATS[format][0];
+    }
+
+    onChooseItem(format) {
+        this.onChoose(format);
+    }
+}
+
+class OpenAlexSearchModal extends Modal {
+    constructor(app, plugin) {
+        super(app);
+        this.plugin = plugin;
+        this.mode = 'keyword';
+        this.query = '';
+    }
+
+    onOpen() {
+        const { contentEl } = this;
+        this.titleEl.setText('Search OpenAlex');
+        
+        new Setting(contentEl)
+            .addDropdown(dropdown => dropdown
+                .addOptions(SEARCH_MODES)
+                .setValue(this.mode)
+                .onChange(value => this.mode = value))
+            .addText(text => {
+                text.setPlaceholder('Keywords, author name or DOI')
+                    .onChange(value => this.query = value);
+                text.inputEl.addEventListener('keydown', event => {
+                    if (event.key === 'Enter') this.search();
+                });
+            })
+            .addButton(button => button
+                .setButtonText('Search')
+                .setCta()
+                .onClick(() => this.search()));
+        
+        this.resultsEl = contentEl.createDiv();
+    }
+
+    onClose() {
+        this.contentEl.empty();
+    }
+
+    async search() {
+        const query = this.query.trim();
+        if (!query) return;
+        
+        this.resultsEl.empty();
+        this.resultsEl.createEl('p', { text: 'Searching...' });
+        try {
+            const [works, index] = await Promise.all([
+                this.plugin.searchOpenAlex(this.mode, query),
+                this.plugin.indexPaperNotes()
+            ]);
+            this.renderResults(works, index);
+        } catch (error) {
+            console.error('Error searching OpenAlex:', error);
+            this.resultsEl.empty();
+            this.resultsEl.createEl('p', { text: `Search failed: ${error.message}` });
+        }
+    }
+
+    renderResults(works, index) {
+        this.resultsEl.empty();
+        if (works.length === 0) {
+            this.resultsEl.createEl('p', { text: 'No results' });
+            return;
+        }
+        
+        for (const work of works) {
+            const firstAuthor = work.authorships?.[0]?.author?.display_name;
+            const details = [
+                firstAuthor && (work.authorships.length > 1 ? `${firstAuthor} et al.` : firstAuthor),
+                work.publication_year,
+                this.plugin.getVenueName(work),
+                `${work.cited_by_count || 0} citations`
+            ].filter(Boolean);
+            
+            const setting = new Setting(this.resultsEl)
+                .setName(work.display_name || work.title || work.id)
+                .setDesc(details.join(' · '));
+            
+            const existing = this.plugin.findIndexedPaper(index, work);
+            if (existing) {
+                setting.addButton(button => button
+                    .setButtonText('Open')
+                    .onClick(async () => {
+                        this.close();
+                        await this.app.workspace.getLeaf(false).openFile(existing);
+                    }));
+                continue;
+            }
+            
+            // A hub already exists when another paper cites or is cited by this one
+            const hasHub = this.plugin.hubMap.has(work.id);
+            setting.addButton(button => button
+                .setButtonText(hasHub ? 'Promote hub' : 'Create note')
+                .setCta()
+                .onClick(async () => {
+                    this.close();
+                    try {
+                        const file = await this.plugin.importWorkAsPaper(work, index);
+                        if (file) await this.app.workspace.getLeaf(false).openFile(file);
+                    } catch (error) {
+                        console.error(`Error creating paper note for ${work.id}:`, error);
+                        new Notice(`Error creating paper note: ${error.message}`);
+                    }
+                }));
+        }
     }
 }
 
@@ -625,6 +4576,7 @@ class OpenAlexSettingTab extends PluginSettingTab {
                 <br>• Color: Blue</li>
         </ol>
         <p><em>This will color all hub files orange and paper files blue in your graph.</em></p>
+        <p>For a single paper, run <strong>"Create citation canvas for current paper or hub"</strong> to get a canvas with its references on the left and citing works on the right, already color-coded.</p>
     `;
     
     const button = modal.contentEl.createEl('button', {
@@ -672,6 +4624,16 @@ class OpenAlexSettingTab extends PluginSettingTab {
                     await this.plugin.saveSettings();
                 }));
 
+        new Setting(containerEl)
+            .setName('Create author notes')
+            .setDesc('Create a note per author (ORCID, institution, h-index) and link papers and hubs to it')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.createAuthorNotes)
+                .onChange(async (value) => {
+                    this.plugin.settings.createAuthorNotes = value;
+                    await this.plugin.saveSettings();
+                }));
+
         new Setting(containerEl)
             .setName('Enable notifications')
             .setDesc('Show processing notifications')
@@ -696,9 +4658,9 @@ class OpenAlexSettingTab extends PluginSettingTab {
 
         new Setting(containerEl)
             .setName('Max cited-by papers')
-            .setDesc('Maximum number of citing papers to process')
+            .setDesc('Maximum number of citing papers to process (fetched in pages of 200)')
             .addSlider(slider => slider
-                .setLimits(10, 200, 10)
+                .setLimits(10, 2000, 10)
                 .setValue(this.plugin.settings.maxCitedByToProcess)
                 .setDynamicTooltip()
                 .onChange(async (value) => {
@@ -706,6 +4668,49 @@ class OpenAlexSettingTab extends PluginSettingTab {
                     await this.plugin.saveSettings();
                 }));
 
+        new Setting(containerEl)
+            .setName('Cited-by ordering')
+            .setDesc('Which citing works to keep when a paper has more citations than the limit')
+            .addDropdown(dropdown => dropdown
+                .addOptions(CITED_BY_SORT_OPTIONS)
+                .setValue(this.plugin.settings.citedBySort)
+                .onChange(async (value) => {
+                    this.plugin.settings.citedBySort = value;
+                    await this.plugin.saveSettings();
+                    if (value === 'relevance' && !this.plugin.settings.citedBySearch.trim()) {
+                        new Notice(RELEVANCE_WITHOUT_KEYWORDS_NOTICE);
+                    }
+                }));
+
+        new Setting(containerEl)
+            .setName('Cited-by keywords')
+            .setDesc('Only keep citing works matching these keywords (required for relevance ordering)')
+            .addText(text => text
+                .setPlaceholder('e.g. graph neural network')
+                .setValue(this.plugin.settings.citedBySearch)
+                .onChange(async (value) => {
+                    this.plugin.settings.citedBySearch = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('Cited-by year range')
+            .setDesc('Only keep citing works published in this range (leave empty for no limit)')
+            .addText(text => text
+                .setPlaceholder('From')
+                .setValue(this.plugin.settings.citedByFromYear ? String(this.plugin.settings.citedByFromYear) : '')
+                .onChange(async (value) => {
+                    this.plugin.settings.citedByFromYear = parseInt(value, 10) || 0;
+                    await this.plugin.saveSettings();
+                }))
+            .addText(text => text
+                .setPlaceholder('To')
+                .setValue(this.plugin.settings.citedByToYear ? String(this.plugin.settings.citedByToYear) : '')
+                .onChange(async (value) => {
+                    this.plugin.settings.citedByToYear = parseInt(value, 10) || 0;
+                    await this.plugin.saveSettings();
+                }));
+
         new Setting(containerEl)
             .setName('Zotero folder')
             .setDesc('Folder containing imported papers')
@@ -728,6 +4733,52 @@ class OpenAlexSettingTab extends PluginSettingTab {
                     await this.plugin.saveSettings();
                 }));
 
+        new Setting(containerEl)
+            .setName('Author notes folder')
+            .setDesc('Folder for author notes')
+            .addText(text => text
+                .setPlaceholder('Authors')
+                .setValue(this.plugin.settings.authorFolder)
+                .onChange(async (value) => {
+                    this.plugin.settings.authorFolder = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('Export folder')
+            .setDesc('Folder for exported citation networks')
+            .addText(text => text
+                .setPlaceholder('OpenAlex-Exports')
+                .setValue(this.plugin.settings.exportFolder)
+                .onChange(async (value) => {
+                    this.plugin.settings.exportFolder = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('Max related papers')
+            .setDesc('How many related and suggested papers to list per note')
+            .addSlider(slider => slider
+                .setLimits(5, 50, 5)
+                .setValue(this.plugin.settings.maxRelatedPapers)
+                .setDynamicTooltip()
+                .onChange(async (value) => {
+                    this.plugin.settings.maxRelatedPapers = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('Title match confidence (%)')
+            .setDesc('Notes without an identifier are matched by title; weaker matches ask you to choose (background runs skip them)')
+            .addSlider(slider => slider
+                .setLimits(50, 100, 5)
+                .setValue(this.plugin.settings.matchConfidenceThreshold)
+                .setDynamicTooltip()
+                .onChange(async (value) => {
+                    this.plugin.settings.matchConfidenceThreshold = value;
+                    await this.plugin.saveSettings();
+                }));
+
         new Setting(containerEl)
             .setName('Request delay (ms)')
             .setDesc('Delay between API requests to avoid rate limiting')
@@ -740,6 +4791,158 @@ class OpenAlexSettingTab extends PluginSettingTab {
                     await this.plugin.saveSettings();
                 }));
 
+        containerEl.createEl('h3', { text: 'Templates' });
+
+        new Setting(containerEl)
+            .setName('Hub note template')
+            .setDesc('Template note for new hubs; leave empty for the built-in layout. "Create default note templates" writes editable copies.')
+            .addText(text => text
+                .setPlaceholder(`${TEMPLATE_FOLDER}/Hub template.md`)
+                .setValue(this.plugin.settings.hubTemplatePath)
+                .onChange(async (value) => {
+                    this.plugin.settings.hubTemplatePath = value.trim();
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('Metadata section template')
+            .setDesc('Template note for the OpenAlex metadata section in paper notes; leave empty for the built-in layout')
+            .addText(text => text
+                .setPlaceholder(`${TEMPLATE_FOLDER}/Metadata template.md`)
+                .setValue(this.plugin.settings.metadataTemplatePath)
+                .onChange(async (value) => {
+                    this.plugin.settings.metadataTemplatePath = value.trim();
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('Hub filename pattern')
+            .setDesc('Name for new hubs, e.g. {{author}}, {{year}}, {{title_words}}, {{short_id}}; existing hubs keep their names')
+            .addText(text => text
+                .setPlaceholder(DEFAULT_HUB_FILENAME_PATTERN)
+                .setValue(this.plugin.settings.hubFilenamePattern)
+                .onChange(async (value) => {
+                    this.plugin.settings.hubFilenamePattern = value.trim();
+                    await this.plugin.saveSettings();
+                }));
+
+        containerEl.createEl('h3', { text: 'Citation Alerts' });
+
+        new Setting(containerEl)
+            .setName('Check for new citations every (days)')
+            .setDesc('Run "Check for new citations" automatically; 0 turns the periodic check off')
+            .addSlider(slider => slider
+                .setLimits(0, 30, 1)
+                .setValue(this.plugin.settings.citationCheckIntervalDays)
+                .setDynamicTooltip()
+                .onChange(async (value) => {
+                    this.plugin.settings.citationCheckIntervalDays = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('Alerts folder')
+            .setDesc('Folder for the dated new-citation digest notes')
+            .addText(text => text
+                .setPlaceholder('OpenAlex-Alerts')
+                .setValue(this.plugin.settings.alertFolder)
+                .onChange(async (value) => {
+                    this.plugin.settings.alertFolder = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        containerEl.createEl('h3', { text: 'OpenAlex API' });
+
+        new Setting(containerEl)
+            .setName('API base URL')
+            .setDesc('OpenAlex endpoint; point this at an institutional mirror, fixture server or local snapshot')
+            .addText(text => text
+                .setPlaceholder(DEFAULT_API_BASE_URL)
+                .setValue(this.plugin.settings.apiBaseUrl)
+                .onChange(async (value) => {
+                    this.plugin.settings.apiBaseUrl = value.trim() || DEFAULT_API_BASE_URL;
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('Contact email')
+            .setDesc('Sent with every request to use the faster OpenAlex polite pool')
+            .addText(text => text
+                .setPlaceholder('you@example.org')
+                .setValue(this.plugin.settings.contactEmail)
+                .onChange(async (value) => {
+                    this.plugin.settings.contactEmail = value.trim();
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('API key')
+            .setDesc('Optional OpenAlex premium API key')
+            .addText(text => {
+                text.inputEl.type = 'password';
+                text
+                    .setValue(this.plugin.settings.apiKey)
+                    .onChange(async (value) => {
+                        this.plugin.settings.apiKey = value.trim();
+                        await this.plugin.saveSettings();
+                    });
+            });
+
+        new Setting(containerEl)
+            .setName('Max retries')
+            .setDesc('Retries for rate-limited (429) or failed (5xx) requests, with exponential backoff')
+            .addSlider(slider => slider
+                .setLimits(0, 8, 1)
+                .setValue(this.plugin.settings.maxRetries)
+                .setDynamicTooltip()
+                .onChange(async (value) => {
+                    this.plugin.settings.maxRetries = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        containerEl.createEl('h3', { text: 'Cache' });
+
+        new Setting(containerEl)
+            .setName('Cache OpenAlex responses')
+            .setDesc('Store fetched works on disk so shared references are only downloaded once')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.enableCache)
+                .onChange(async (value) => {
+                    this.plugin.settings.enableCache = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('Cache expiry (days)')
+            .setDesc('Cached responses older than this are fetched again when online')
+            .addSlider(slider => slider
+                .setLimits(1, 365, 1)
+                .setValue(this.plugin.settings.cacheTtlDays)
+                .setDynamicTooltip()
+                .onChange(async (value) => {
+                    this.plugin.settings.cacheTtlDays = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('Offline mode')
+            .setDesc('Never contact OpenAlex; build hubs only from cached data')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.offlineMode)
+                .onChange(async (value) => {
+                    this.plugin.settings.offlineMode = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('Clear cache')
+            .setDesc('Remove all cached OpenAlex responses')
+            .addButton(button => button
+                .setButtonText('Clear cache')
+                .onClick(async () => {
+                    await this.plugin.clearCache();
+                }));
+
         // Graph view section
         new Setting(containerEl)
             .setName('Setup Graph Groups Colors')
@@ -770,7 +4973,23 @@ class OpenAlexSettingTab extends PluginSettingTab {
             <strong>Commands available:</strong><br>
             • Process current file with OpenAlex<br>
             • Process all unprocessed papers<br>
-            • Toggle auto-processing<br><br>
+            • Open citation sidebar<br>
+            • Search OpenAlex and import paper<br>
+            • Import papers from BibTeX/RIS file<br>
+            • Create paper note for current hub<br>
+            • Refresh OpenAlex data (current file / all processed papers)<br>
+            • Export citation network (GraphML, GEXF, JSON)<br>
+            • Export bibliography (current note, current folder or a hub's cited papers)<br>
+            • Create citation canvas for current paper or hub<br>
+            • Find related papers (co-citation and bibliographic coupling)<br>
+            • Expand citation network<br>
+            • Check for new citations<br>
+            • Pause or resume / cancel background processing<br>
+            • Clean up orphaned hubs<br>
+            • Rebuild hub index<br>
+            • Create default note templates<br>
+            • Toggle auto-processing<br>
+            • Clear OpenAlex response cache<br><br>
             <strong>Hub Features:</strong><br>
             • Parent Paper: Links back to your Zotero note<br>
             • Cited: Papers this work references<br>